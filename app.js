@@ -0,0 +1,133 @@
+/**
+ * Express app factory
+ *
+ * Every runtime builds its app here, so routes and middleware cannot drift:
+ * - server.js: long-running Node server (also starts the background workers)
+ * - api/index.js, api/serverless.js: Vercel functions
+ *
+ * Dependencies are injected; anything not passed in falls back to the
+ * shared module (config, winston logger, service singletons).
+ */
+
+const path = require('path');
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
+const createProxyRouter = require('./routes/proxy');
+const createLegacyProxyRouter = require('./routes/legacyProxy');
+const createWebhookRouter = require('./routes/webhooks');
+const createAdminRouter = require('./routes/admin');
+
+// Default for each injectable dependency, only loaded when not injected
+const DEFAULTS = {
+  config: () => require('./config'),
+  logger: () => require('./utils/logger'),
+  cacheService: () => require('./services/cacheService'),
+  bunjangService: () => require('./services/bunjangService'),
+  shopifyAdmin: () => require('./services/shopifyAdminService'),
+  exchangeRateService: () => require('./services/exchangeRateService'),
+  pricingService: () => require('./services/pricingService'),
+  jobQueueService: () => require('./services/jobQueueService'),
+  webhookService: () => require('./services/webhookService'),
+  orderLedgerService: () => require('./services/orderLedgerService'),
+  orderProcessingService: () => require('./services/orderProcessingService'),
+  pointBalanceService: () => require('./services/pointBalanceService'),
+  rateLimitService: () => require('./services/rateLimitService'),
+  translationService: () => require('./services/translationService'),
+  searchQueryService: () => require('./services/searchQueryService'),
+  complianceService: () => require('./services/complianceService'),
+  shippingService: () => require('./services/shippingService'),
+  landedCostService: () => require('./services/landedCostService'),
+};
+
+/**
+ * Fill in every dependency not provided by the caller
+ * @param {object} overrides
+ * @returns {object} deps
+ */
+function resolveDependencies(overrides = {}) {
+  return Object.keys(DEFAULTS).reduce((deps, name) => {
+    deps[name] = overrides[name] !== undefined ? overrides[name] : DEFAULTS[name]();
+    return deps;
+  }, {});
+}
+
+/**
+ * Build the Express app
+ *
+ * @param {object} overrides - Injected dependencies (see DEFAULTS)
+ * @returns {express.Application} app, with the resolved dependencies on app.locals.deps
+ */
+function createApp(overrides = {}) {
+  const deps = resolveDependencies(overrides);
+  const { config, logger, bunjangService, exchangeRateService, jobQueueService } = deps;
+
+  const app = express();
+  app.locals.deps = deps;
+  app.set('trust proxy', config.server.trustProxy);
+
+  // Security middleware
+  app.use(helmet({
+    contentSecurityPolicy: false,
+  }));
+
+  // Storefront requests come from *.myshopify.com / custom domains via the App Proxy
+  app.use(cors({
+    origin: true,
+    credentials: true,
+  }));
+
+  // Shopify webhooks need the raw body for HMAC verification, so they are
+  // mounted before the body parsers
+  app.use('/webhooks/shopify', createWebhookRouter(deps));
+
+  // Body parser middleware
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+
+  // Serve static files from public directory
+  app.use(express.static(path.join(__dirname, 'public')));
+
+  // Request logging middleware
+  app.use((req, res, next) => {
+    logger.debug(`${req.method} ${req.originalUrl}`, {
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+    });
+    next();
+  });
+
+  // Health check endpoint
+  app.get('/health', (req, res) => {
+    res.json({
+      success: true,
+      message: 'Bunjang Shopify Backend is running',
+      timestamp: new Date().toISOString(),
+      environment: config.server.env,
+      bunjang: bunjangService.getStatus(),
+      exchangeRate: exchangeRateService.getStatus(),
+      jobs: jobQueueService.getStats(),
+    });
+  });
+
+  // App Proxy routes
+  app.use('/shopify-proxy', createProxyRouter(deps));
+  app.use('/proxy', createLegacyProxyRouter(deps));
+
+  // Ops API (API key or admin JWT, see middleware/adminAuth.js)
+  app.use('/admin', createAdminRouter(deps));
+
+  // 404 handler
+  app.use(notFoundHandler);
+
+  // Global error handler
+  app.use(errorHandler);
+
+  return app;
+}
+
+module.exports = {
+  createApp,
+  resolveDependencies,
+};
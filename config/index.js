@@ -1,4 +1,15 @@
 require('dotenv').config();
+const path = require('path');
+
+// Vercel functions can only write to /tmp
+const dataDir = process.env.DATA_DIR
+  || (process.env.VERCEL ? path.join('/tmp', 'bunjang-shopify') : path.join(__dirname, '..', 'storage'));
+
+function parseTrustProxy(value) {
+  if (value === undefined || value === '' || value === 'false') return false;
+  if (value === 'true') return true;
+  return /^\d+$/.test(value) ? parseInt(value) : value;
+}
 
 module.exports = {
   // Shopify Configuration
@@ -7,6 +18,18 @@ module.exports = {
     apiSecret: process.env.SHOPIFY_API_SECRET,
     accessToken: process.env.SHOPIFY_ACCESS_TOKEN,
     shopName: process.env.SHOPIFY_SHOP_NAME,
+    // Admin API host (your-store.myshopify.com)
+    storeDomain: process.env.SHOPIFY_STORE_DOMAIN || process.env.SHOPIFY_SHOP_NAME,
+    apiVersion: process.env.SHOPIFY_API_VERSION || '2024-01',
+    // Inventory location for imported products (defaults to the first active location)
+    locationId: process.env.SHOPIFY_LOCATION_ID,
+    // App Proxy signatures older than this are rejected as replays
+    proxySignatureMaxAgeSeconds: parseInt(process.env.SHOPIFY_PROXY_MAX_AGE_SECONDS) || 300,
+    // SKIP_HMAC_VERIFICATION only takes effect with an explicit local NODE_ENV, never on a host
+    skipProxyVerification: process.env.SKIP_HMAC_VERIFICATION === 'true'
+      && ['development', 'test'].includes(process.env.NODE_ENV)
+      && !process.env.VERCEL
+      && !process.env.RENDER,
   },
 
   // Bunjang API Configuration
@@ -16,12 +39,45 @@ module.exports = {
     secretKey: process.env.BUNJANG_SECRET_KEY,
     // Legacy support (if you have a pre-generated token)
     apiToken: process.env.BUNJANG_API_TOKEN,
+    // Validate orders without placing them (never spends points).
+    // Defaults to on everywhere except production.
+    orderDryRun: process.env.BUNJANG_ORDER_DRY_RUN !== undefined
+      ? process.env.BUNJANG_ORDER_DRY_RUN === 'true'
+      : process.env.NODE_ENV !== 'production',
+    // A line item still `purchasing` after this long was interrupted (crash,
+    // redeploy) and is checked against Bunjang's orders before buying again
+    purchaseTimeoutMinutes: parseInt(process.env.BUNJANG_PURCHASE_TIMEOUT_MINUTES) || 5,
+    // GET retries on network errors, 429 and 5xx (jittered exponential backoff)
+    retry: {
+      maxRetries: parseInt(process.env.BUNJANG_MAX_RETRIES ?? 3),
+      baseDelayMs: parseInt(process.env.BUNJANG_RETRY_BASE_DELAY_MS) || 300,
+      // Longer Retry-After values are not waited out, the error is returned instead
+      maxDelayMs: parseInt(process.env.BUNJANG_RETRY_MAX_DELAY_MS) || 5000,
+    },
+    // Client-side token bucket for every Bunjang call
+    rateLimit: {
+      ratePerSecond: parseFloat(process.env.BUNJANG_RATE_LIMIT_PER_SECOND) || 10,
+      burst: parseInt(process.env.BUNJANG_RATE_LIMIT_BURST) || 20,
+    },
+    // Fail fast (and serve cached data) after consecutive network / 5xx failures
+    circuitBreaker: {
+      threshold: parseInt(process.env.BUNJANG_BREAKER_THRESHOLD) || 5,
+      cooldownSeconds: parseInt(process.env.BUNJANG_BREAKER_COOLDOWN_SECONDS) || 30,
+    },
   },
 
   // Server Configuration
   server: {
     port: process.env.PORT || 3000,
     env: process.env.NODE_ENV || 'development',
+    // Express "trust proxy": set when behind a load balancer / CDN so req.ip is the shopper
+    // (true, a hop count such as 1, or a comma-separated list of proxy addresses)
+    trustProxy: parseTrustProxy(process.env.TRUST_PROXY),
+  },
+
+  // Runtime storage (file-backed stores)
+  storage: {
+    dataDir,
   },
 
   // Cache Configuration (TTL in seconds)
@@ -29,5 +85,219 @@ module.exports = {
     productsTTL: parseInt(process.env.CACHE_PRODUCTS_TTL) || 300, // 5 minutes
     productDetailTTL: parseInt(process.env.CACHE_PRODUCT_DETAIL_TTL) || 600, // 10 minutes
     categoriesTTL: parseInt(process.env.CACHE_CATEGORIES_TTL) || 3600, // 1 hour
+    // How long past the TTLs above data may still be served (while refreshing / when Bunjang fails)
+    staleTTL: parseInt(process.env.CACHE_STALE_TTL) || 86400, // 24 hours
+    // Backend: memory (per process), file (per disk) or redis (shared)
+    adapter: process.env.CACHE_ADAPTER || 'memory',
+    // Prefix for every key, so several apps/environments can share one Redis
+    namespace: process.env.CACHE_NAMESPACE || 'bunjang',
+    fileDir: process.env.CACHE_FILE_DIR || path.join(dataDir, 'cache'),
+    redisUrl: process.env.CACHE_REDIS_URL || process.env.REDIS_URL || 'redis://127.0.0.1:6379',
+    redisTimeoutMs: parseInt(process.env.CACHE_REDIS_TIMEOUT_MS) || 2000,
+  },
+
+  // Korean -> English translation of listing titles / descriptions
+  translation: {
+    enabled: process.env.TRANSLATION_ENABLED !== 'false',
+    // dictionary (glossary only, free), stub (tests) or deepl
+    provider: process.env.TRANSLATION_PROVIDER || 'dictionary',
+    // Initial glossary; the managed copy lives in the data directory (edit via /admin/translations)
+    glossaryFile: process.env.TRANSLATION_GLOSSARY_FILE || path.join(__dirname, 'translation-glossary.json'),
+    cacheMaxEntries: parseInt(process.env.TRANSLATION_CACHE_MAX_ENTRIES) || 50000,
+    deeplApiKey: process.env.TRANSLATION_DEEPL_API_KEY,
+    deeplApiUrl: process.env.TRANSLATION_DEEPL_API_URL || 'https://api-free.deepl.com/v2/translate',
+  },
+
+  // English -> Korean search query rewriting
+  search: {
+    expandQueries: process.env.SEARCH_EXPAND_QUERIES !== 'false',
+    // Brand / synonym dictionary (see config/search-synonyms.json)
+    synonymsFile: process.env.SEARCH_SYNONYMS_FILE || path.join(__dirname, 'search-synonyms.json'),
+    // Also run the alternate variants on the first page and merge the results
+    // (one Bunjang call per variant on cache misses)
+    fanOut: process.env.SEARCH_FANOUT === 'true',
+    maxVariants: parseInt(process.env.SEARCH_MAX_VARIANTS) || 3,
+  },
+
+  // Export compliance: restricted items hidden, flagged or blocked at checkout
+  compliance: {
+    enabled: process.env.COMPLIANCE_ENABLED !== 'false',
+    // Policy rules (see config/compliance-policies.json); reload via POST /admin/compliance/reload
+    policiesFile: process.env.COMPLIANCE_POLICIES_FILE || path.join(__dirname, 'compliance-policies.json'),
+    // Filtered items kept in the audit report (most recently seen first)
+    auditMaxItems: parseInt(process.env.COMPLIANCE_AUDIT_MAX_ITEMS) || 1000,
+  },
+
+  // International shipping estimates (Bunjang domestic leg + our international leg)
+  shipping: {
+    // Weight classes, category mapping and zone rate tables (see config/shipping-rates.json)
+    ratesFile: process.env.SHIPPING_RATES_FILE || path.join(__dirname, 'shipping-rates.json'),
+    // Destination when the shopper's country is unknown (ISO 3166-1 alpha-2)
+    defaultCountry: (process.env.SHIPPING_DEFAULT_COUNTRY || 'US').toUpperCase(),
+    // Most items one cart quote may contain
+    maxQuoteItems: parseInt(process.env.SHIPPING_MAX_QUOTE_ITEMS) || 20,
+  },
+
+  // Landed-cost estimates (import duties and VAT / GST per destination)
+  landedCost: {
+    enabled: process.env.LANDED_COST_ENABLED !== 'false',
+    // De-minimis thresholds, HS codes and duty / tax rates (see config/landed-cost-rates.json)
+    ratesFile: process.env.LANDED_COST_RATES_FILE || path.join(__dirname, 'landed-cost-rates.json'),
+  },
+
+  // Liquid responses for the App Proxy (rendered inside the theme by Shopify)
+  liquid: {
+    // Directory with template overrides (products.js, product.js, categories.js, brands.js, error.js)
+    templateDir: process.env.LIQUID_TEMPLATE_DIR,
+    // App Proxy prefix used in links when Shopify does not send path_prefix
+    pathPrefix: process.env.SHOPIFY_PROXY_PATH_PREFIX || '/apps/bunjang',
+  },
+
+  // Storefront rate limiting (requests per window, per budget and scope)
+  rateLimit: {
+    enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+    // Counter store: memory (per instance) or redis (shared)
+    store: process.env.RATE_LIMIT_STORE || 'memory',
+    namespace: process.env.CACHE_NAMESPACE || 'bunjang',
+    redisUrl: process.env.RATE_LIMIT_REDIS_URL || process.env.CACHE_REDIS_URL || process.env.REDIS_URL
+      || 'redis://127.0.0.1:6379',
+    redisTimeoutMs: parseInt(process.env.CACHE_REDIS_TIMEOUT_MS) || 2000,
+    windowSeconds: parseInt(process.env.RATE_LIMIT_WINDOW_SECONDS) || 60,
+    // Product lists and search (each cache miss is a Bunjang call)
+    search: {
+      ip: parseInt(process.env.RATE_LIMIT_SEARCH_PER_IP) || 30,
+      customer: parseInt(process.env.RATE_LIMIT_SEARCH_PER_CUSTOMER) || 60,
+      shop: parseInt(process.env.RATE_LIMIT_SEARCH_PER_SHOP) || 600,
+    },
+    // Product detail pages
+    detail: {
+      ip: parseInt(process.env.RATE_LIMIT_DETAIL_PER_IP) || 60,
+      customer: parseInt(process.env.RATE_LIMIT_DETAIL_PER_CUSTOMER) || 120,
+      shop: parseInt(process.env.RATE_LIMIT_DETAIL_PER_SHOP) || 1200,
+    },
+    // IPs / CIDR ranges never limited (uptime monitors, our own checks)
+    allowlist: (process.env.RATE_LIMIT_ALLOWLIST || '')
+      .split(',')
+      .map((entry) => entry.trim())
+      .filter(Boolean),
+  },
+
+  // Exchange Rate Configuration
+  exchangeRate: {
+    // Providers tried in order until one succeeds
+    providers: (process.env.EXCHANGE_RATE_PROVIDERS || 'open-er-api')
+      .split(',')
+      .map((name) => name.trim())
+      .filter(Boolean),
+    openErApiUrl: process.env.EXCHANGE_RATE_API_URL || 'https://open.er-api.com/v6/latest/KRW',
+    exchangeRateApiKey: process.env.EXCHANGE_RATE_API_KEY,
+    // Fixed rates for the "static" provider, e.g. EXCHANGE_RATE_STATIC_USD=0.00074
+    staticRates: Object.keys(process.env).reduce((rates, key) => {
+      const match = /^EXCHANGE_RATE_STATIC_([A-Z]{3})$/.exec(key);
+      if (match) rates[match[1]] = parseFloat(process.env[key]);
+      return rates;
+    }, {}),
+    ttl: parseInt(process.env.EXCHANGE_RATE_TTL) || 3600, // 1 hour (seconds)
+    maxAgeHours: parseFloat(process.env.EXCHANGE_RATE_MAX_AGE_HOURS) || 24, // refuse to quote after this
+    historyLimit: parseInt(process.env.EXCHANGE_RATE_HISTORY_LIMIT) || 500,
+  },
+
+  // Storefront currencies (Shopify Markets presentment currencies)
+  currency: {
+    default: process.env.DEFAULT_CURRENCY || 'USD',
+    supported: (process.env.STOREFRONT_CURRENCIES || 'USD,EUR,JPY,GBP,CAD,AUD')
+      .split(',')
+      .map((code) => code.trim().toUpperCase())
+      .filter(Boolean),
+  },
+
+  // Bunjang -> Shopify product import
+  import: {
+    vendor: process.env.IMPORT_VENDOR || 'Bunjang',
+    // Shopify product status for new imports: active or draft
+    productStatus: process.env.IMPORT_PRODUCT_STATUS || 'active',
+    concurrency: parseInt(process.env.IMPORT_CONCURRENCY) || 3,
+  },
+
+  // Sold-out / delisting sync for imported products
+  sync: {
+    intervalMinutes: process.env.SYNC_INTERVAL_MINUTES !== undefined
+      ? parseInt(process.env.SYNC_INTERVAL_MINUTES)
+      : 30, // 0 disables the background sync
+    concurrency: parseInt(process.env.SYNC_CONCURRENCY) || 3,
+    // What to do with sold/reserved/deleted items: zero_inventory or archive
+    soldOutAction: process.env.SYNC_SOLD_OUT_ACTION || 'zero_inventory',
+    reportLimit: parseInt(process.env.SYNC_REPORT_LIMIT) || 50,
+  },
+
+  // Bunjang shipping -> Shopify fulfillment sync
+  fulfillment: {
+    pollIntervalMinutes: process.env.FULFILLMENT_POLL_INTERVAL_MINUTES !== undefined
+      ? parseInt(process.env.FULFILLMENT_POLL_INTERVAL_MINUTES)
+      : 30, // 0 disables the background poller
+    concurrency: parseInt(process.env.FULFILLMENT_CONCURRENCY) || 3,
+    // Let Shopify send its shipping confirmation / update emails
+    notifyCustomer: process.env.FULFILLMENT_NOTIFY_CUSTOMER !== 'false',
+    reportLimit: parseInt(process.env.FULFILLMENT_REPORT_LIMIT) || 50,
+  },
+
+  // Durable job queue (webhook processing)
+  queue: {
+    pollIntervalMs: parseInt(process.env.QUEUE_POLL_INTERVAL_MS) || 2000,
+    concurrency: parseInt(process.env.QUEUE_CONCURRENCY) || 1,
+    maxAttempts: parseInt(process.env.QUEUE_MAX_ATTEMPTS) || 5,
+    backoffBaseMs: parseInt(process.env.QUEUE_BACKOFF_BASE_MS) || 30000, // 30s, 60s, 120s, ...
+    backoffMaxMs: parseInt(process.env.QUEUE_BACKOFF_MAX_MS) || 3600000, // 1 hour
+    // Finished (completed) jobs and webhook ids kept for dedupe/inspection
+    historyLimit: parseInt(process.env.QUEUE_HISTORY_LIMIT) || 1000,
+    // Run webhook jobs in the request instead of background workers.
+    // On by default on Vercel, where nothing polls the queue after the response.
+    runInline: process.env.QUEUE_RUN_INLINE
+      ? process.env.QUEUE_RUN_INLINE === 'true'
+      : Boolean(process.env.VERCEL),
+  },
+
+  // Refunds for purchases that fail after payment (sold out, price changed)
+  refunds: {
+    autoRefund: process.env.AUTO_REFUND_FAILED_PURCHASES !== 'false',
+    // Let Shopify email the customer about the refund
+    notifyCustomer: process.env.REFUND_NOTIFY_CUSTOMER !== 'false',
+  },
+
+  // Bunjang point wallet guard (purchases are paid with points)
+  points: {
+    // Check the balance before each purchase and hold orders it cannot cover
+    guardEnabled: process.env.POINTS_GUARD_ENABLED !== 'false',
+    // Alert ops when the balance drops below this amount
+    lowBalanceThresholdKRW: process.env.POINTS_LOW_BALANCE_KRW !== undefined
+      ? parseInt(process.env.POINTS_LOW_BALANCE_KRW)
+      : 100000,
+    // How often held orders are checked against the balance (0 disables)
+    resumeIntervalMinutes: process.env.POINTS_RESUME_INTERVAL_MINUTES !== undefined
+      ? parseInt(process.env.POINTS_RESUME_INTERVAL_MINUTES)
+      : 10,
+  },
+
+  // Admin API (/admin): API key and/or HS256-signed admin JWT
+  admin: {
+    apiKey: process.env.ADMIN_API_KEY,
+    jwtSecret: process.env.ADMIN_JWT_SECRET,
+  },
+
+  // Ops alerts (always logged; also posted to a Slack-compatible webhook when set)
+  alerts: {
+    webhookUrl: process.env.OPS_ALERT_WEBHOOK_URL,
+    // The same alert is sent at most once per cooldown
+    cooldownMinutes: parseInt(process.env.OPS_ALERT_COOLDOWN_MINUTES) || 60,
+  },
+
+  // Pricing Configuration
+  pricing: {
+    // JSON file with markup rules (see config/pricing-rules.json)
+    rulesFile: process.env.PRICING_RULES_FILE || path.join(__dirname, 'pricing-rules.json'),
+    // Markup applied to Bunjang's shipping fee (percent)
+    shippingMarkupPercent: process.env.PRICING_SHIPPING_MARKUP_PERCENT !== undefined
+      ? parseFloat(process.env.PRICING_SHIPPING_MARKUP_PERCENT)
+      : 10,
   },
 };
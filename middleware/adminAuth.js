@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+/**
+ * Constant-time string comparison
+ */
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+/**
+ * Protect admin routes
+ *
+ * Accepts either:
+ * - X-Admin-Api-Key: <ADMIN_API_KEY> (or Authorization: Bearer <ADMIN_API_KEY>)
+ * - Authorization: Bearer <JWT> signed HS256 with ADMIN_JWT_SECRET, with "role": "admin"
+ *
+ * With neither configured, every request is rejected.
+ * On success sets req.admin = { method, subject }.
+ */
+const requireAdmin = (req, res, next) => {
+  const { apiKey, jwtSecret } = config.admin;
+
+  if (!apiKey && !jwtSecret) {
+    logger.warn('Admin request rejected: ADMIN_API_KEY / ADMIN_JWT_SECRET not configured');
+    return res.status(503).json({ success: false, error: 'Admin API is not configured' });
+  }
+
+  const authorization = req.get('Authorization') || '';
+  const bearer = authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : null;
+  const providedKey = req.get('X-Admin-Api-Key') || bearer;
+
+  if (apiKey && providedKey && safeEqual(providedKey, apiKey)) {
+    req.admin = { method: 'api-key', subject: 'api-key' };
+    return next();
+  }
+
+  if (jwtSecret && bearer) {
+    try {
+      const claims = jwt.verify(bearer, jwtSecret, { algorithms: ['HS256'] });
+      if (claims.role === 'admin') {
+        req.admin = { method: 'jwt', subject: claims.sub || null };
+        return next();
+      }
+      logger.warn('Admin request rejected: token has no admin role', { sub: claims.sub });
+    } catch (error) {
+      logger.warn(`Admin request rejected: ${error.message}`);
+    }
+  }
+
+  logger.warn('Admin request rejected: missing or invalid credentials', { path: req.originalUrl, ip: req.ip });
+  return res.status(401).json({ success: false, error: 'Unauthorized' });
+};
+
+module.exports = {
+  requireAdmin,
+};
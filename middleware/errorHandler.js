@@ -15,6 +15,10 @@ const errorHandler = (err, req, res, next) => {
   const statusCode = err.statusCode || 500;
   const message = err.message || 'Internal Server Error';
 
+  if (err.retryAfterSeconds) {
+    res.set('Retry-After', String(err.retryAfterSeconds));
+  }
+
   res.status(statusCode).json({
     success: false,
     error: {
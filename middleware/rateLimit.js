@@ -0,0 +1,87 @@
+const logger = require('../utils/logger');
+const config = require('../config');
+
+/**
+ * Rate limit a storefront route
+ *
+ * Sets X-RateLimit-Limit / X-RateLimit-Remaining / X-RateLimit-Reset and
+ * answers 429 with Retry-After when the client is over budget. Allowlisted
+ * IPs skip the limiter; if the counter store fails the request is let
+ * through (fail open) rather than taking the storefront down.
+ * Mount after verifyShopifyHMAC, which sets req.shop / req.loggedInCustomerId.
+ *
+ * App Proxy requests reach us from Shopify's servers, so req.ip is Shopify's
+ * address; they are counted against the shopper's address Shopify forwards
+ * instead (see clientAddress).
+ *
+ * @param {object} rateLimitService - services/rateLimitService.js
+ * @param {string} budget - 'search' or 'detail'
+ * @returns {Function} Express middleware
+ */
+const rateLimit = (rateLimitService, budget) => async (req, res, next) => {
+  const ip = clientAddress(req);
+  if (!config.rateLimit.enabled || rateLimitService.isAllowlisted(ip)) {
+    return next();
+  }
+
+  let result;
+  try {
+    result = await rateLimitService.consume(budget, {
+      ip,
+      shop: req.shop,
+      customerId: req.loggedInCustomerId,
+    });
+  } catch (error) {
+    logger.error(`Rate limiter unavailable, allowing request: ${error.message}`);
+    return next();
+  }
+
+  if (result.limit !== null) {
+    res.set('X-RateLimit-Limit', String(result.limit));
+    res.set('X-RateLimit-Remaining', String(result.remaining));
+    res.set('X-RateLimit-Reset', String(Math.ceil(result.resetAt / 1000)));
+  }
+
+  if (result.allowed) {
+    return next();
+  }
+
+  logger.warn(`Rate limited ${budget} request from ${result.scope} (${ip || req.ip}, shop ${req.shop || 'n/a'})`);
+  res.set('Retry-After', String(result.retryAfterSeconds));
+  res.status(429).json({
+    success: false,
+    error: 'Too many requests',
+    retryAfter: result.retryAfterSeconds,
+  });
+};
+
+/**
+ * Address of the shopper behind a request
+ *
+ * For App Proxy requests (HMAC-verified, so they did come through Shopify)
+ * req.ip resolves to Shopify's server; Shopify appends the shopper's address
+ * to X-Forwarded-For, so it is the entry just before that hop. Without a
+ * trusted proxy in front of us Shopify is the socket peer and the shopper is
+ * the last entry.
+ *
+ * @param {express.Request} req
+ * @returns {string|null} client address, null when Shopify did not forward one
+ */
+function clientAddress(req) {
+  if (!req.viaAppProxy) {
+    return req.ip;
+  }
+
+  const forwarded = (req.get('x-forwarded-for') || '')
+    .split(',')
+    .map((address) => address.trim())
+    .filter(Boolean);
+  const shopifyHop = forwarded.lastIndexOf(req.ip);
+  const address = shopifyHop === -1 ? forwarded[forwarded.length - 1] : forwarded[shopifyHop - 1];
+  return address || null;
+}
+
+module.exports = {
+  rateLimit,
+  clientAddress,
+};
@@ -2,18 +2,59 @@ const crypto = require('crypto');
 const logger = require('../utils/logger');
 const config = require('../config');
 
+/**
+ * Build the string Shopify signs for App Proxy requests
+ * Every query parameter except `signature`, as `key=value` with repeated
+ * keys joined by commas, sorted, concatenated without separators.
+ *
+ * @param {string} queryString - Raw query string (without `?`)
+ * @returns {string}
+ */
+const buildProxySignaturePayload = (queryString) => {
+  const params = new Map();
+  for (const [key, value] of new URLSearchParams(queryString)) {
+    if (key === 'signature') continue;
+    params.set(key, [...(params.get(key) || []), value]);
+  }
+
+  return Array.from(params, ([key, values]) => `${key}=${values.join(',')}`)
+    .sort()
+    .join('');
+};
+
 /**
  * Verify Shopify HMAC signature for App Proxy requests
  * Shopify signs all App Proxy requests with HMAC
+ *
+ * Rejects (401) a missing or invalid signature and a `timestamp` older than
+ * SHOPIFY_PROXY_MAX_AGE_SECONDS (replays). On success sets:
+ * - req.shop: the shop's myshopify.com domain
+ * - req.loggedInCustomerId: Shopify customer ID, or null for guests
+ * - req.viaAppProxy: true (the request came through Shopify's servers)
  */
 const verifyShopifyHMAC = (req, res, next) => {
-  // In development, skip HMAC verification if configured
-  if (config.server.env === 'development' && process.env.SKIP_HMAC_VERIFICATION === 'true') {
-    logger.warn('Skipping HMAC verification in development mode');
+  const { proxySignatureMaxAgeSeconds, skipProxyVerification, apiSecret } = config.shopify;
+
+  // Local development only (see config.shopify.skipProxyVerification)
+  if (skipProxyVerification) {
+    logger.warn('Skipping HMAC verification in local development');
+    req.shop = req.query.shop || null;
+    req.loggedInCustomerId = req.query.logged_in_customer_id || null;
+    req.viaAppProxy = true;
     return next();
   }
 
-  const { signature, ...params } = req.query;
+  if (!apiSecret) {
+    logger.error('App Proxy request rejected: SHOPIFY_API_SECRET not configured');
+    return res.status(503).json({
+      success: false,
+      error: 'App Proxy verification is not configured',
+    });
+  }
+
+  const queryString = req.originalUrl.includes('?') ? req.originalUrl.slice(req.originalUrl.indexOf('?') + 1) : '';
+  const query = new URLSearchParams(queryString);
+  const signature = query.get('signature');
 
   if (!signature) {
     logger.warn('No HMAC signature found in request');
@@ -23,37 +64,86 @@ const verifyShopifyHMAC = (req, res, next) => {
     });
   }
 
-  try {
-    // Build query string for HMAC verification
-    const sortedParams = Object.keys(params)
-      .sort()
-      .map((key) => `${key}=${params[key]}`)
-      .join('&');
-
-    // Generate HMAC
-    const hash = crypto
-      .createHmac('sha256', config.shopify.apiSecret)
-      .update(sortedParams)
-      .digest('hex');
-
-    // Compare signatures
-    if (hash !== signature) {
-      logger.warn('Invalid HMAC signature');
-      return res.status(401).json({
-        success: false,
-        error: 'Invalid HMAC signature',
-      });
-    }
-
-    logger.debug('HMAC signature verified successfully');
-    next();
-  } catch (error) {
-    logger.error('HMAC verification error:', error);
-    return res.status(500).json({
+  const digest = crypto
+    .createHmac('sha256', apiSecret)
+    .update(buildProxySignaturePayload(queryString))
+    .digest();
+  const received = Buffer.from(signature, 'hex');
+
+  if (received.length !== digest.length || !crypto.timingSafeEqual(received, digest)) {
+    logger.warn('Invalid HMAC signature', { shop: query.get('shop'), path: req.path });
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid HMAC signature',
+    });
+  }
+
+  const timestamp = parseInt(query.get('timestamp'));
+  const ageSeconds = Math.abs(Date.now() / 1000 - timestamp);
+  if (!Number.isFinite(ageSeconds) || ageSeconds > proxySignatureMaxAgeSeconds) {
+    logger.warn(`Expired App Proxy signature (timestamp ${query.get('timestamp')})`, { shop: query.get('shop') });
+    return res.status(401).json({
       success: false,
-      error: 'HMAC verification failed',
+      error: 'Expired HMAC signature',
     });
   }
+
+  req.shop = query.get('shop');
+  req.loggedInCustomerId = query.get('logged_in_customer_id') || null;
+  req.viaAppProxy = true;
+
+  logger.debug('HMAC signature verified successfully');
+  next();
+};
+
+/**
+ * Verify Shopify webhook HMAC (X-Shopify-Hmac-Sha256)
+ * Requires the raw request body as a Buffer (mount after express.raw()).
+ * Rejects (503) every webhook while SHOPIFY_API_SECRET is not configured.
+ * On success, parses the JSON body and sets req.webhook.
+ */
+const verifyShopifyWebhook = (req, res, next) => {
+  const { apiSecret } = config.shopify;
+  const hmacHeader = req.get('X-Shopify-Hmac-Sha256');
+  const rawBody = req.body;
+
+  if (!apiSecret) {
+    // Shopify retries non-2xx deliveries, so nothing is lost while this is fixed
+    logger.error('Webhook rejected: SHOPIFY_API_SECRET not configured');
+    return res.status(503).json({ success: false, error: 'Webhook verification is not configured' });
+  }
+
+  if (!hmacHeader || !Buffer.isBuffer(rawBody)) {
+    logger.warn('Webhook rejected: missing HMAC header or raw body');
+    return res.status(401).json({ success: false, error: 'Unauthorized' });
+  }
+
+  const digest = crypto
+    .createHmac('sha256', apiSecret)
+    .update(rawBody)
+    .digest();
+  const received = Buffer.from(hmacHeader, 'base64');
+
+  if (received.length !== digest.length || !crypto.timingSafeEqual(received, digest)) {
+    logger.warn('Webhook rejected: invalid HMAC signature', { topic: req.get('X-Shopify-Topic') });
+    return res.status(401).json({ success: false, error: 'Unauthorized' });
+  }
+
+  try {
+    req.body = rawBody.length ? JSON.parse(rawBody.toString('utf8')) : {};
+  } catch (error) {
+    logger.warn(`Webhook rejected: invalid JSON body (${error.message})`);
+    return res.status(400).json({ success: false, error: 'Invalid JSON body' });
+  }
+
+  req.webhook = {
+    id: req.get('X-Shopify-Webhook-Id'),
+    topic: req.get('X-Shopify-Topic'),
+    shopDomain: req.get('X-Shopify-Shop-Domain'),
+  };
+
+  logger.debug(`Webhook verified: ${req.webhook.topic} (${req.webhook.id})`);
+  next();
 };
 
 /**
@@ -74,5 +164,6 @@ const extractShopDomain = (req, res, next) => {
 
 module.exports = {
   verifyShopifyHMAC,
+  verifyShopifyWebhook,
   extractShopDomain,
 };
@@ -0,0 +1,442 @@
+const express = require('express');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { requireAdmin } = require('../middleware/adminAuth');
+const { AppError } = require('../utils/errors');
+const { isSupportedCurrency } = require('../utils/currency');
+
+const parseLimit = (value, fallback = 50) => Math.min(parseInt(value) || fallback, 500);
+
+/**
+ * Ops API routes (/admin)
+ *
+ * @param {object} deps - From createApp (logger, cacheService, exchangeRateService,
+ *   jobQueueService, orderLedgerService, orderProcessingService, pointBalanceService, rateLimitService,
+ *   translationService, complianceService, shippingService, landedCostService)
+ * @returns {express.Router}
+ */
+function createAdminRouter({
+  logger,
+  cacheService,
+  exchangeRateService,
+  jobQueueService,
+  orderLedgerService,
+  orderProcessingService,
+  pointBalanceService,
+  rateLimitService,
+  translationService,
+  complianceService,
+  shippingService,
+  landedCostService,
+}) {
+  const router = express.Router();
+
+  // Every admin route needs an API key or admin JWT
+  router.use(requireAdmin);
+
+  // Log who did what for every state-changing request
+  router.use((req, res, next) => {
+    if (req.method !== 'GET') {
+      logger.info(`Admin ${req.method} ${req.originalUrl}`, { admin: req.admin });
+    }
+    next();
+  });
+
+  /**
+   * GET /admin/orders
+   * Recent Shopify orders with the Bunjang purchase state of each line item
+   * Query params:
+   *   - status: only orders with a line item in this ledger status (comma-separated)
+   *   - since: ISO timestamp
+   *   - limit: max orders (default: 50)
+   */
+  router.get(
+    '/orders',
+    asyncHandler(async (req, res) => {
+      const { status, since } = req.query;
+      const limit = parseLimit(req.query.limit);
+
+      const entries = orderLedgerService.list({
+        status: status ? status.split(',') : undefined,
+        since,
+        limit: Infinity,
+      });
+
+      // Entries are newest first, so orders come out newest first too
+      const orderIds = [...new Set(entries.map((entry) => entry.shopifyOrderId))].slice(0, limit);
+      const orders = orderIds.map((id) => orderLedgerService.getOrderSummary(id));
+
+      res.json({
+        success: true,
+        data: { orders, count: orders.length },
+      });
+    })
+  );
+
+  /**
+   * GET /admin/orders/:id
+   * Ledger summary for one Shopify order
+   */
+  router.get(
+    '/orders/:id',
+    asyncHandler(async (req, res) => {
+      const summary = orderLedgerService.getOrderSummary(req.params.id);
+      if (!summary) {
+        throw new AppError(`No ledger entries for Shopify order ${req.params.id}`, 404, 'ORDER_NOT_FOUND');
+      }
+
+      res.json({ success: true, data: summary });
+    })
+  );
+
+  /**
+   * GET /admin/ledger
+   * Ledger entries, newest first
+   * Query params: status (comma-separated), pid, since, limit
+   */
+  router.get(
+    '/ledger',
+    asyncHandler(async (req, res) => {
+      const { status, pid, since } = req.query;
+      const entries = orderLedgerService.list({
+        status: status ? status.split(',') : undefined,
+        pid,
+        since,
+        limit: parseLimit(req.query.limit),
+      });
+
+      res.json({ success: true, data: { entries, count: entries.length } });
+    })
+  );
+
+  /**
+   * POST /admin/ledger/:id/retry
+   * Try a failed (or interrupted) Bunjang purchase again
+   */
+  router.post(
+    '/ledger/:id/retry',
+    asyncHandler(async (req, res) => {
+      const result = await orderProcessingService.retryFailedEntry(req.params.id);
+
+      res.json({
+        success: true,
+        data: { result, entry: orderLedgerService.get(req.params.id) },
+      });
+    })
+  );
+
+  /**
+   * POST /admin/ledger/:id/cancel
+   * Cancel a purchase (including the Bunjang order once placed)
+   * Body:
+   *   - refund: also refund the line item on Shopify (failed purchases)
+   *   - reason: note kept in the ledger history
+   */
+  router.post(
+    '/ledger/:id/cancel',
+    asyncHandler(async (req, res) => {
+      const { refund = false, reason } = req.body || {};
+      const result = await orderProcessingService.cancelEntryById(req.params.id, {
+        refund: refund === true || refund === 'true',
+        ...(reason && { reason }),
+      });
+
+      res.json({
+        success: true,
+        data: { result, entry: orderLedgerService.get(req.params.id) },
+      });
+    })
+  );
+
+  /**
+   * GET /admin/jobs
+   * Job queue contents and counts
+   * Query params: status, type, limit
+   */
+  router.get(
+    '/jobs',
+    asyncHandler(async (req, res) => {
+      const { status, type } = req.query;
+
+      res.json({
+        success: true,
+        data: {
+          stats: jobQueueService.getStats(),
+          jobs: jobQueueService.list({ status, type, limit: parseLimit(req.query.limit) }),
+        },
+      });
+    })
+  );
+
+  /**
+   * POST /admin/jobs/:id/retry
+   * Put a dead job back in the queue
+   */
+  router.post(
+    '/jobs/:id/retry',
+    asyncHandler(async (req, res) => {
+      const job = jobQueueService.retry(req.params.id);
+      if (!job) {
+        throw new AppError(`Job ${req.params.id} not found or not retryable`, 404, 'JOB_NOT_RETRYABLE');
+      }
+
+      res.json({ success: true, data: job });
+    })
+  );
+
+  /**
+   * GET /admin/cache
+   * Cache statistics
+   */
+  router.get(
+    '/cache',
+    asyncHandler(async (req, res) => {
+      res.json({ success: true, data: await cacheService.getStats() });
+    })
+  );
+
+  /**
+   * POST /admin/cache/flush
+   * Body:
+   *   - keys: cache keys to delete (e.g. ["product:123", "categories"]); a trailing `*`
+   *     deletes by prefix (e.g. ["products:*"]); omit to flush everything
+   */
+  router.post(
+    '/cache/flush',
+    asyncHandler(async (req, res) => {
+      const { keys } = req.body || {};
+
+      if (keys !== undefined && (!Array.isArray(keys) || keys.some((key) => typeof key !== 'string'))) {
+        throw new AppError('keys must be an array of strings', 400, 'INVALID_KEYS');
+      }
+
+      if (keys) {
+        let deleted = 0;
+        for (const key of keys) {
+          deleted += await cacheService.invalidate(key);
+        }
+        return res.json({ success: true, data: { deleted } });
+      }
+
+      const deleted = await cacheService.flush();
+      res.json({ success: true, data: { flushed: true, deleted } });
+    })
+  );
+
+  /**
+   * GET /admin/rate-limit
+   * Storefront rate limit settings and rejected requests since start
+   */
+  router.get('/rate-limit', (req, res) => {
+    res.json({ success: true, data: rateLimitService.getStatus() });
+  });
+
+  /**
+   * GET /admin/translations
+   * Translator, cache and glossary status
+   */
+  router.get('/translations', (req, res) => {
+    res.json({ success: true, data: translationService.getStatus() });
+  });
+
+  /**
+   * GET /admin/translations/glossary
+   */
+  router.get('/translations/glossary', (req, res) => {
+    res.json({ success: true, data: translationService.getGlossary() });
+  });
+
+  /**
+   * PUT /admin/translations/glossary/:term
+   * Body: { translation: "Nike", category: "brand" | "size" | "condition" | "term" }
+   */
+  router.put(
+    '/translations/glossary/:term',
+    asyncHandler(async (req, res) => {
+      const entry = translationService.setGlossaryTerm(req.params.term, req.body || {});
+      res.json({ success: true, data: { term: req.params.term, ...entry } });
+    })
+  );
+
+  /**
+   * DELETE /admin/translations/glossary/:term
+   */
+  router.delete(
+    '/translations/glossary/:term',
+    asyncHandler(async (req, res) => {
+      translationService.removeGlossaryTerm(req.params.term);
+      res.json({ success: true, data: { term: req.params.term, removed: true } });
+    })
+  );
+
+  /**
+   * DELETE /admin/translations/cache
+   * Forget cached translations (they are fetched again on demand)
+   */
+  router.delete('/translations/cache', (req, res) => {
+    res.json({ success: true, data: { cleared: translationService.clearCache() } });
+  });
+
+  /**
+   * GET /admin/compliance
+   * Export-compliance rules and the audit report of filtered items
+   * Query params:
+   *   - action: only items filtered by this action (hide, block, flag)
+   *   - limit: max items, most recently seen first (default: 100)
+   */
+  router.get('/compliance', (req, res) => {
+    const { action } = req.query;
+    res.json({ success: true, data: complianceService.getReport({ action, limit: parseLimit(req.query.limit, 100) }) });
+  });
+
+  /**
+   * POST /admin/compliance/reload
+   * Re-read the policies file (config.compliance.policiesFile)
+   */
+  router.post('/compliance/reload', (req, res) => {
+    res.json({ success: true, data: { rules: complianceService.reload() } });
+  });
+
+  /**
+   * DELETE /admin/compliance/audit
+   * Start a new audit report
+   */
+  router.delete('/compliance/audit', (req, res) => {
+    res.json({ success: true, data: { cleared: complianceService.clearAudit() } });
+  });
+
+  /**
+   * GET /admin/shipping
+   * Weight classes, category mapping, overrides and zone rate tables
+   */
+  router.get('/shipping', (req, res) => {
+    res.json({ success: true, data: shippingService.getStatus() });
+  });
+
+  /**
+   * POST /admin/shipping/reload
+   * Re-read the rates file (config.shipping.ratesFile)
+   */
+  router.post('/shipping/reload', (req, res) => {
+    res.json({ success: true, data: { zones: shippingService.reload() } });
+  });
+
+  /**
+   * PUT /admin/shipping/categories/:categoryId
+   * Override the weight class of a category and its subcategories
+   * Body: { weightClass: "large" }
+   */
+  router.put(
+    '/shipping/categories/:categoryId',
+    asyncHandler(async (req, res) => {
+      const { categoryId } = req.params;
+      const override = shippingService.setCategoryOverride(categoryId, (req.body || {}).weightClass);
+      res.json({ success: true, data: { categoryId, ...override } });
+    })
+  );
+
+  /**
+   * DELETE /admin/shipping/categories/:categoryId
+   * Back to the weight class from the rates file
+   */
+  router.delete(
+    '/shipping/categories/:categoryId',
+    asyncHandler(async (req, res) => {
+      shippingService.removeCategoryOverride(req.params.categoryId);
+      res.json({ success: true, data: { categoryId: req.params.categoryId, removed: true } });
+    })
+  );
+
+  /**
+   * GET /admin/landed-cost
+   * HS code mapping, de-minimis thresholds and duty / tax rates
+   */
+  router.get('/landed-cost', (req, res) => {
+    res.json({ success: true, data: landedCostService.getStatus() });
+  });
+
+  /**
+   * POST /admin/landed-cost/reload
+   * Re-read the rates file (config.landedCost.ratesFile)
+   */
+  router.post('/landed-cost/reload', (req, res) => {
+    res.json({ success: true, data: { countries: landedCostService.reload() } });
+  });
+
+  /**
+   * GET /admin/exchange-rate
+   * Current rates, overrides and recent history
+   * Query params: history (number of history entries, default: 20)
+   */
+  router.get(
+    '/exchange-rate',
+    asyncHandler(async (req, res) => {
+      res.json({
+        success: true,
+        data: {
+          ...exchangeRateService.getStatus(),
+          history: exchangeRateService.getHistory(parseLimit(req.query.history, 20)),
+        },
+      });
+    })
+  );
+
+  /**
+   * PUT /admin/exchange-rate/:currency
+   * Pin the rate for a currency
+   * Body:
+   *   - rate: 1 KRW in the currency (required)
+   *   - reason: free text kept in history
+   *   - expiresAt: ISO timestamp
+   */
+  router.put(
+    '/exchange-rate/:currency',
+    asyncHandler(async (req, res) => {
+      const currency = req.params.currency.toUpperCase();
+      const { rate, reason, expiresAt } = req.body || {};
+
+      if (!isSupportedCurrency(currency)) {
+        throw new AppError(`Unsupported currency: ${currency}`, 400, 'UNSUPPORTED_CURRENCY');
+      }
+      if (expiresAt && Number.isNaN(Date.parse(expiresAt))) {
+        throw new AppError('expiresAt must be an ISO timestamp', 400, 'INVALID_EXPIRES_AT');
+      }
+
+      const override = exchangeRateService.setOverride(currency, Number(rate), { reason, expiresAt });
+      res.json({ success: true, data: { currency, ...override } });
+    })
+  );
+
+  /**
+   * DELETE /admin/exchange-rate/:currency
+   * Remove the override for a currency
+   */
+  router.delete(
+    '/exchange-rate/:currency',
+    asyncHandler(async (req, res) => {
+      const currency = req.params.currency.toUpperCase();
+      const cleared = exchangeRateService.clearOverride(currency);
+
+      res.json({ success: true, data: { currency, cleared } });
+    })
+  );
+
+  /**
+   * GET /admin/points
+   * Bunjang point balance and the points unpaid orders need
+   * Query params: cached=true to skip the live balance check
+   */
+  router.get(
+    '/points',
+    asyncHandler(async (req, res) => {
+      if (req.query.cached !== 'true') {
+        await pointBalanceService.refresh();
+      }
+
+      res.json({ success: true, data: pointBalanceService.getStatus() });
+    })
+  );
+
+  return router;
+}
+
+module.exports = createAdminRouter;
@@ -0,0 +1,154 @@
+const express = require('express');
+const { resolvePresentmentCurrency } = require('../utils/currency');
+const { resolveDestinationCountry } = require('../utils/country');
+const { verifyShopifyHMAC, extractShopDomain } = require('../middleware/shopifyAuth');
+const { rateLimit } = require('../middleware/rateLimit');
+
+/**
+ * Query parameters forwarded to Bunjang's product search; everything else
+ * (App Proxy signature fields, currency / destination selection) is ours
+ */
+const BUNJANG_QUERY_PARAMS = ['size', 'q', 'cursor', 'sort', 'categoryId', 'brandId', 'minPrice', 'maxPrice', 'freeShipping'];
+
+/**
+ * Generate image URLs from template
+ */
+function generateImages(template, count) {
+  if (!template || !count) return [];
+  const images = [];
+  for (let i = 1; i <= count; i++) {
+    images.push(template.replace('{cnt}', i));
+  }
+  return images;
+}
+
+/**
+ * Original Shopify App Proxy routes (/proxy/*)
+ * Shopify URL: https://store.com/apps/bunjang/*
+ * Forwarded to: https://render.com/proxy/*
+ *
+ * Kept for storefronts built against the original response shape;
+ * new work goes through /shopify-proxy (routes/proxy.js).
+ *
+ * @param {object} deps - From createApp (logger, searchQueryService, exchangeRateService, pricingService,
+ *   rateLimitService, complianceService, shippingService, translationService)
+ * @returns {express.Router}
+ */
+function createLegacyProxyRouter({
+  logger,
+  searchQueryService,
+  exchangeRateService,
+  pricingService,
+  rateLimitService,
+  complianceService,
+  shippingService,
+  translationService,
+}) {
+  const router = express.Router();
+
+  router.use(extractShopDomain);
+  router.use(verifyShopifyHMAC);
+
+  /**
+   * GET /proxy/products, GET /proxy/search
+   */
+  router.get(['/products', '/search'], rateLimit(rateLimitService, 'search'), async (req, res) => {
+    try {
+      logger.info(`Proxy request ${req.path}`, { query: req.query });
+
+      // Get real-time exchange rate for the shopper's presentment currency
+      const currency = resolvePresentmentCurrency(req);
+      const country = resolveDestinationCountry(req);
+      const rateQuote = await exchangeRateService.getQuote(currency);
+      const exchangeRate = rateQuote.rate;
+
+      // Prepare query params (only what Bunjang understands, so the search cache key stays stable)
+      const queryParams = {};
+      for (const name of BUNJANG_QUERY_PARAMS) {
+        if (req.query[name] !== undefined && req.query[name] !== '') {
+          queryParams[name] = req.query[name];
+        }
+      }
+
+      // Fix: 'score' sort only works with search query
+      if (queryParams.sort === 'score' && !queryParams.q) {
+        queryParams.sort = 'latest';
+      }
+
+      const bunjangData = await searchQueryService.getProducts(queryParams);
+
+      // Transform products: convert KRW to the presentment currency through the pricing rules engine
+      const appliedRules = new Map();
+      // Restricted items are left out or flagged (see complianceService)
+      const visibleProducts = complianceService.applyToProducts(bunjangData.data || [], 'list');
+      const transformedProducts = visibleProducts.map((product) => {
+        const { price, rule } = pricingService.quote(product, exchangeRate, currency);
+        const shippingFee = pricingService.convertShippingFee(product.shippingFee, exchangeRate, currency);
+        appliedRules.set(rule.id, rule);
+
+        return {
+          id: product.pid,
+          title: product.name,
+          description: product.description || '',
+          price,
+          priceKRW: product.price,
+          shippingFee,
+          shippingFeeKRW: product.shippingFee,
+          internationalShipping: shippingService.quote(product, { country, exchangeRate, currency }),
+          currency,
+          pricingRule: rule.id,
+          images: generateImages(product.imageUrlTemplate, product.imageCount),
+          url: `https://m.bunjang.co.kr/products/${product.pid}`,
+          condition: product.condition,
+          saleStatus: product.saleStatus,
+          views: product.viewCount || 0,
+          likes: product.favoriteCount || 0,
+          seller: { uid: product.uid },
+          createdAt: product.updateTime,
+          ...(product.compliance && { compliance: product.compliance }),
+        };
+      });
+      // Korean titles stay in `title`; English goes in `titleEn` (see translationService)
+      await translationService.translateProducts(transformedProducts);
+
+      res.json({
+        success: true,
+        data: {
+          products: transformedProducts,
+          pagination: {
+            cursor: bunjangData.nextCursor,
+            hasNext: bunjangData.hasNext,
+            count: transformedProducts.length,
+          },
+        },
+        exchangeRate: {
+          rate: exchangeRate,
+          base: 'KRW',
+          target: currency,
+          source: rateQuote.source,
+          fetchedAt: rateQuote.fetchedAt,
+          markup: Array.from(appliedRules.values()),
+        },
+        ...(bunjangData.search && { search: bunjangData.search }),
+      });
+    } catch (error) {
+      logger.error(`Proxy request ${req.path} failed: ${error.message}`);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: 'Failed to fetch data from Bunjang',
+        message: error.message,
+      });
+    }
+  });
+
+  router.get('/*', (req, res) => {
+    res.status(404).json({
+      success: false,
+      error: 'Endpoint not found',
+    });
+  });
+
+  return router;
+}
+
+module.exports = createLegacyProxyRouter;
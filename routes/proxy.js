@@ -1,230 +1,438 @@
 const express = require('express');
-const router = express.Router();
-const bunjangService = require('../services/bunjangService');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { verifyShopifyHMAC, extractShopDomain } = require('../middleware/shopifyAuth');
-const logger = require('../utils/logger');
+const { rateLimit } = require('../middleware/rateLimit');
+const { resolvePresentmentCurrency } = require('../utils/currency');
+const { resolveDestinationCountry } = require('../utils/country');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { AppError } = require('../utils/errors');
+const { sendView } = require('../utils/liquidView');
 
-// Apply middleware to all proxy routes
-router.use(extractShopDomain);
-// Note: Uncomment the line below to enable HMAC verification in production
-// router.use(verifyShopifyHMAC);
+/**
+ * Reply for a failed Bunjang call
+ * 503 + Retry-After while the Bunjang circuit breaker is open, 500 otherwise
+ */
+function sendBunjangError(req, res, error, message) {
+  if (error.retryAfterSeconds) {
+    res.set('Retry-After', String(error.retryAfterSeconds));
+  }
+  sendView(req, res, {
+    status: error.statusCode || 500,
+    template: 'error',
+    data: { status: error.statusCode || 500, message },
+    json: {
+      success: false,
+      error: message,
+      message: error.message,
+    },
+  });
+}
 
 /**
- * GET /shopify-proxy/products
- * Get list of products from Bunjang
- * Query params:
- *   - page: page number (default: 1)
- *   - limit: items per page (default: 12)
- *   - category: filter by category
- *   - search: search query
- *   - sortBy: sort field (price, createdAt, etc.)
- *   - sortOrder: asc or desc
+ * Shopify App Proxy routes (/shopify-proxy)
+ *
+ * Product, category and brand routes answer with Liquid (rendered inside the
+ * theme, see utils/liquidView.js) for storefront page loads or `format=liquid`,
+ * and with JSON for `Accept: application/json` or `format=json`.
+ *
+ * Every product response goes through the export-compliance policies
+ * (see complianceService): restricted items are left out or carry a
+ * `compliance` field. Products also carry an `internationalShipping` estimate
+ * for the shopper's country (see shippingService); product details add a
+ * `landedCost` breakdown with duties and taxes (see landedCostService).
+ *
+ * Shopify strips cookies from App Proxy requests, so the theme must pass the
+ * shopper's currency as `?currency={{ cart.currency.iso_code }}` and country
+ * as `?country={{ localization.country.iso_code }}`; without them prices are
+ * in config.currency.default and estimates for config.shipping.defaultCountry.
+ *
+ * @param {object} deps - From createApp (config, logger, bunjangService, exchangeRateService, rateLimitService,
+ *   translationService, searchQueryService, complianceService, shippingService, landedCostService)
+ * @returns {express.Router}
  */
-router.get(
-  '/products',
-  asyncHandler(async (req, res) => {
-    logger.info('Fetching products from Bunjang', { query: req.query });
-
-    const {
-      size = 12,
-      q,
-      cursor,
-      sort = 'latest',
-      categoryId,
-      brandId,
-      minPrice,
-      maxPrice,
-      freeShipping,
-    } = req.query;
-
-    // Parse and validate numeric values
-    const parsedMinPrice = minPrice && minPrice !== 'undefined' && !isNaN(minPrice) ? parseInt(minPrice) : null;
-    const parsedMaxPrice = maxPrice && maxPrice !== 'undefined' && !isNaN(maxPrice) ? parseInt(maxPrice) : null;
-
-    // Build params for Bunjang API (based on actual API spec)
-    const params = {
-      size: Math.min(parseInt(size), 100), // Max 100
-      ...(q && { q }),
-      ...(cursor && { cursor }),
-      ...(sort && { sort }), // score, latest, price_asc, price_desc
-      ...(categoryId && { categoryId }),
-      ...(brandId && { brandId }),
-      ...(parsedMinPrice && { minPrice: parsedMinPrice }),
-      ...(parsedMaxPrice && { maxPrice: parsedMaxPrice }),
-      ...(freeShipping && { freeShipping: freeShipping === 'true' }),
-    };
+function createProxyRouter({
+  config,
+  logger,
+  bunjangService,
+  exchangeRateService,
+  rateLimitService,
+  translationService,
+  searchQueryService,
+  complianceService,
+  shippingService,
+  landedCostService,
+}) {
+  const router = express.Router();
 
-    try {
-      const data = await bunjangService.getProducts(params);
-
-      // Transform products to Shopify-compatible format
-      let products = [];
-      if (data.data && Array.isArray(data.data)) {
-        products = data.data.map((product) =>
-          bunjangService.transformToShopifyFormat(product)
-        );
-      }
+  /**
+   * GET /shopify-proxy/health
+   * Health check endpoint, for uptime monitors (registered before the
+   * signature check, which only Shopify's own requests can pass)
+   */
+  router.get('/health', (req, res) => {
+    res.json({
+      success: true,
+      message: 'Bunjang Shopify Proxy is running',
+      timestamp: new Date().toISOString(),
+    });
+  });
 
-      res.json({
-        success: true,
-        data: {
-          products,
-          pagination: {
-            cursor: data.nextCursor,
-            hasNext: data.hasNext,
-            size: parseInt(size),
-            count: products.length,
-          },
-        },
-      });
+  // Apply middleware to all other proxy routes
+  router.use(extractShopDomain);
+  // Only Shopify-signed App Proxy requests (sets req.shop / req.loggedInCustomerId)
+  router.use(verifyShopifyHMAC);
+
+  /**
+   * 1 KRW in the currency of the destination's de-minimis thresholds
+   * @returns {Promise<number|null>} null when no rate is available (exemptions are then skipped)
+   */
+  const getThresholdRate = async (country, currency, rate) => {
+    const thresholdCurrency = landedCostService.getThresholdCurrency(country);
+    if (!thresholdCurrency || thresholdCurrency === currency) {
+      return thresholdCurrency ? rate : null;
+    }
+
+    try {
+      return await exchangeRateService.getRate(thresholdCurrency);
     } catch (error) {
-      logger.error('Error fetching products:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Failed to fetch products from Bunjang',
-        message: error.message,
-      });
+      logger.warn(`No ${thresholdCurrency} rate for the ${country} de-minimis check: ${error.message}`);
+      return null;
     }
-  })
-);
+  };
 
-/**
- * GET /shopify-proxy/products/on-sale
- * Get on-sale products from Bunjang
- */
-router.get(
-  '/products/on-sale',
-  asyncHandler(async (req, res) => {
-    logger.info('Fetching on-sale products from Bunjang');
+  /**
+   * GET /shopify-proxy/products
+   * Get list of products from Bunjang
+   * Query params:
+   *   - page: page number (default: 1)
+   *   - limit: items per page (default: 12)
+   *   - category: filter by category
+   *   - q: search query (English is rewritten into Korean, see searchQueryService)
+   *   - sortBy: sort field (price, createdAt, etc.)
+   *   - sortOrder: asc or desc
+   *   - currency: presentment currency (USD, EUR, JPY, GBP, CAD, AUD; default: config.currency.default)
+   *   - country: destination for the shipping estimate (default: config.shipping.defaultCountry)
+   *   - format: liquid or json (default: from the Accept header)
+   */
+  router.get(
+    '/products',
+    rateLimit(rateLimitService, 'search'),
+    asyncHandler(async (req, res) => {
+      logger.info('Fetching products from Bunjang', { query: req.query });
 
-    try {
-      const data = await bunjangService.getOnSaleProducts();
+      const {
+        size = 12,
+        q,
+        cursor,
+        sort = 'latest',
+        categoryId,
+        brandId,
+        minPrice,
+        maxPrice,
+        freeShipping,
+      } = req.query;
 
-      let products = [];
-      if (data.data && Array.isArray(data.data)) {
-        products = data.data.map((product) =>
-          bunjangService.transformToShopifyFormat(product)
-        );
-      }
+      // Parse and validate numeric values
+      const parsedMinPrice = minPrice && minPrice !== 'undefined' && !isNaN(minPrice) ? parseInt(minPrice) : null;
+      const parsedMaxPrice = maxPrice && maxPrice !== 'undefined' && !isNaN(maxPrice) ? parseInt(maxPrice) : null;
 
-      res.json({
-        success: true,
-        data: { products },
-      });
-    } catch (error) {
-      logger.error('Error fetching on-sale products:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Failed to fetch on-sale products',
-        message: error.message,
-      });
-    }
-  })
-);
+      // Build params for Bunjang API (based on actual API spec)
+      const params = {
+        size: Math.min(parseInt(size), 100), // Max 100
+        ...(q && { q }),
+        ...(cursor && { cursor }),
+        ...(sort && { sort }), // score, latest, price_asc, price_desc
+        ...(categoryId && { categoryId }),
+        ...(brandId && { brandId }),
+        ...(parsedMinPrice && { minPrice: parsedMinPrice }),
+        ...(parsedMaxPrice && { maxPrice: parsedMaxPrice }),
+        ...(freeShipping && { freeShipping: freeShipping === 'true' }),
+      };
 
-/**
- * GET /shopify-proxy/products/:id
- * Get single product by ID
- */
-router.get(
-  '/products/:id',
-  asyncHandler(async (req, res) => {
-    const { id } = req.params;
-    logger.info(`Fetching product ${id} from Bunjang`);
+      const currency = resolvePresentmentCurrency(req);
+      const country = resolveDestinationCountry(req);
+      const exchangeRate = await exchangeRateService.getQuote(currency);
 
-    try {
-      const data = await bunjangService.getProduct(id);
+      try {
+        const data = await searchQueryService.getProducts(params);
 
-      const product = bunjangService.transformToShopifyFormat(data.data || data);
+        // Transform products to Shopify-compatible format
+        let products = [];
+        if (data.data && Array.isArray(data.data)) {
+          products = data.data.map((product) =>
+            bunjangService.transformToShopifyFormat(product, exchangeRate.rate, currency)
+          );
+        }
+        products = complianceService.applyToProducts(products, 'list');
+        shippingService.quoteProducts(products, { country, exchangeRate: exchangeRate.rate, currency });
+        await translationService.translateProducts(products);
 
-      res.json({
-        success: true,
-        data: { product },
-      });
-    } catch (error) {
-      logger.error(`Error fetching product ${id}:`, error);
+        const pagination = {
+          cursor: data.nextCursor,
+          hasNext: data.hasNext,
+          size: parseInt(size),
+          count: products.length,
+        };
 
-      if (error.response && error.response.status === 404) {
-        res.status(404).json({
-          success: false,
-          error: 'Product not found',
+        sendView(req, res, {
+          template: 'products',
+          data: {
+            products,
+            pagination,
+            exchangeRate,
+            search: data.search,
+            // Filters kept in search form / "more" links
+            query: { q, sort, categoryId, brandId, minPrice, maxPrice, freeShipping },
+          },
+          json: {
+            success: true,
+            data: { products, pagination },
+            exchangeRate,
+            ...(data.search && { search: data.search }),
+          },
         });
-      } else {
-        res.status(500).json({
-          success: false,
-          error: 'Failed to fetch product',
-          message: error.message,
+      } catch (error) {
+        logger.error('Error fetching products:', error);
+        sendBunjangError(req, res, error, 'Failed to fetch products from Bunjang');
+      }
+    })
+  );
+
+  /**
+   * GET /shopify-proxy/products/on-sale
+   * Get on-sale products from Bunjang
+   */
+  router.get(
+    '/products/on-sale',
+    rateLimit(rateLimitService, 'search'),
+    asyncHandler(async (req, res) => {
+      logger.info('Fetching on-sale products from Bunjang');
+
+      const currency = resolvePresentmentCurrency(req);
+      const country = resolveDestinationCountry(req);
+      const exchangeRate = await exchangeRateService.getQuote(currency);
+
+      try {
+        const data = await bunjangService.getOnSaleProducts();
+
+        let products = [];
+        if (data.data && Array.isArray(data.data)) {
+          products = data.data.map((product) =>
+            bunjangService.transformToShopifyFormat(product, exchangeRate.rate, currency)
+          );
+        }
+        products = complianceService.applyToProducts(products, 'list');
+        shippingService.quoteProducts(products, { country, exchangeRate: exchangeRate.rate, currency });
+        await translationService.translateProducts(products);
+
+        sendView(req, res, {
+          template: 'products',
+          data: { products, pagination: { hasNext: false }, exchangeRate, query: {} },
+          json: {
+            success: true,
+            data: { products },
+            exchangeRate,
+          },
         });
+      } catch (error) {
+        logger.error('Error fetching on-sale products:', error);
+        sendBunjangError(req, res, error, 'Failed to fetch on-sale products');
       }
-    }
-  })
-);
+    })
+  );
 
-/**
- * GET /shopify-proxy/categories
- * Get product categories
- */
-router.get(
-  '/categories',
-  asyncHandler(async (req, res) => {
-    logger.info('Fetching categories from Bunjang');
+  /**
+   * GET /shopify-proxy/products/:id
+   * Get single product by ID, with shipping and landed-cost estimates
+   * Query params: currency, country (see GET /shopify-proxy/products)
+   */
+  router.get(
+    '/products/:id',
+    rateLimit(rateLimitService, 'detail'),
+    asyncHandler(async (req, res) => {
+      const { id } = req.params;
+      logger.info(`Fetching product ${id} from Bunjang`);
 
-    try {
-      const data = await bunjangService.getCategories();
+      const currency = resolvePresentmentCurrency(req);
+      const country = resolveDestinationCountry(req);
+      const exchangeRate = await exchangeRateService.getQuote(currency);
 
-      res.json({
-        success: true,
-        data: data.data || data,
-      });
-    } catch (error) {
-      logger.error('Error fetching categories:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Failed to fetch categories',
-        message: error.message,
-      });
-    }
-  })
-);
+      try {
+        const data = await bunjangService.getProduct(id);
 
-/**
- * GET /shopify-proxy/brands
- * Get brands list
- */
-router.get(
-  '/brands',
-  asyncHandler(async (req, res) => {
-    logger.info('Fetching brands from Bunjang');
+        const product = bunjangService.transformToShopifyFormat(data.data || data, exchangeRate.rate, currency);
 
-    try {
-      const data = await bunjangService.getBrands();
+        const verdict = complianceService.screen(product, 'detail');
+        if (verdict.action === 'hide') {
+          return sendView(req, res, {
+            status: 404,
+            template: 'error',
+            data: { status: 404, message: 'Product not available' },
+            json: {
+              success: false,
+              error: 'Product not available',
+            },
+          });
+        }
+        if (verdict.action !== 'allow') {
+          product.compliance = complianceService.describe(verdict);
+        }
+
+        shippingService.quoteProducts([product], { country, exchangeRate: exchangeRate.rate, currency });
+        if (config.landedCost.enabled) {
+          product.landedCost = landedCostService.estimateProduct(product, {
+            country,
+            currency,
+            exchangeRate: exchangeRate.rate,
+            thresholdRate: await getThresholdRate(country, currency, exchangeRate.rate),
+          });
+        }
+        await translationService.translateProducts([product], { descriptions: true });
+
+        sendView(req, res, {
+          template: 'product',
+          data: { product, exchangeRate },
+          json: {
+            success: true,
+            data: { product },
+            exchangeRate,
+          },
+        });
+      } catch (error) {
+        logger.error(`Error fetching product ${id}:`, error);
+
+        if (error.response && error.response.status === 404) {
+          sendView(req, res, {
+            status: 404,
+            template: 'error',
+            data: { status: 404, message: 'Product not found' },
+            json: {
+              success: false,
+              error: 'Product not found',
+            },
+          });
+        } else {
+          sendBunjangError(req, res, error, 'Failed to fetch product');
+        }
+      }
+    })
+  );
+
+  /**
+   * GET /shopify-proxy/shipping/quote
+   * International shipping estimate for a cart (JSON)
+   * Query params:
+   *   - ids: Bunjang product IDs, comma-separated (the pid in BUNJANG-<pid> SKUs)
+   *   - country: destination (default: config.shipping.defaultCountry)
+   *   - currency: presentment currency
+   * Products that cannot be looked up are listed in `unavailable` and left out.
+   */
+  router.get(
+    '/shipping/quote',
+    rateLimit(rateLimitService, 'detail'),
+    asyncHandler(async (req, res) => {
+      const ids = Array.from(new Set(String(req.query.ids || '').split(',').map((id) => id.trim()).filter(Boolean)));
+
+      if (!ids.length) {
+        throw new AppError('ids is required', 400, 'INVALID_IDS');
+      }
+      if (ids.length > config.shipping.maxQuoteItems) {
+        throw new AppError(`At most ${config.shipping.maxQuoteItems} ids per quote`, 400, 'INVALID_IDS');
+      }
+
+      const currency = resolvePresentmentCurrency(req);
+      const country = resolveDestinationCountry(req);
+      const exchangeRate = await exchangeRateService.getQuote(currency);
+
+      const errors = [];
+      const lookups = await mapWithConcurrency(ids, 3, async (id) => {
+        try {
+          const data = await bunjangService.getProduct(id);
+          return data.data || data;
+        } catch (error) {
+          logger.warn(`Shipping quote: product ${id} unavailable: ${error.message}`);
+          errors.push(error);
+          return null;
+        }
+      });
+      const products = lookups.filter(Boolean);
+      const unavailable = ids.filter((id, index) => !lookups[index]);
+
+      if (!products.length) {
+        if (errors.every((error) => error.response && error.response.status === 404)) {
+          return res.status(404).json({ success: false, error: 'Products not found', unavailable });
+        }
+        return sendBunjangError(req, res, errors[0], 'Failed to quote shipping');
+      }
 
       res.json({
         success: true,
-        data: data.data || data,
-      });
-    } catch (error) {
-      logger.error('Error fetching brands:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Failed to fetch brands',
-        message: error.message,
+        data: {
+          quote: shippingService.quoteCart(products, { country, exchangeRate: exchangeRate.rate, currency }),
+          unavailable,
+        },
+        exchangeRate,
       });
-    }
-  })
-);
+    })
+  );
 
-/**
- * GET /shopify-proxy/health
- * Health check endpoint
- */
-router.get('/health', (req, res) => {
-  res.json({
-    success: true,
-    message: 'Bunjang Shopify Proxy is running',
-    timestamp: new Date().toISOString(),
-  });
-});
+  /**
+   * GET /shopify-proxy/categories
+   * Get product categories
+   */
+  router.get(
+    '/categories',
+    asyncHandler(async (req, res) => {
+      logger.info('Fetching categories from Bunjang');
+
+      try {
+        const data = await bunjangService.getCategories();
+        const categories = data.data || data;
+
+        sendView(req, res, {
+          template: 'categories',
+          data: { items: Array.isArray(categories) ? categories : [] },
+          json: {
+            success: true,
+            data: categories,
+          },
+        });
+      } catch (error) {
+        logger.error('Error fetching categories:', error);
+        sendBunjangError(req, res, error, 'Failed to fetch categories');
+      }
+    })
+  );
+
+  /**
+   * GET /shopify-proxy/brands
+   * Get brands list
+   */
+  router.get(
+    '/brands',
+    asyncHandler(async (req, res) => {
+      logger.info('Fetching brands from Bunjang');
+
+      try {
+        const data = await bunjangService.getBrands();
+        const brands = data.data || data;
+
+        sendView(req, res, {
+          template: 'brands',
+          data: { items: Array.isArray(brands) ? brands : [] },
+          json: {
+            success: true,
+            data: brands,
+          },
+        });
+      } catch (error) {
+        logger.error('Error fetching brands:', error);
+        sendBunjangError(req, res, error, 'Failed to fetch brands');
+      }
+    })
+  );
+
+  return router;
+}
 
-module.exports = router;
+module.exports = createProxyRouter;
@@ -0,0 +1,76 @@
+const express = require('express');
+const { verifyShopifyWebhook } = require('../middleware/shopifyAuth');
+
+/**
+ * Shopify webhook routes (/webhooks/shopify)
+ * Must be mounted before any JSON body parser.
+ *
+ * @param {object} deps - From createApp (config, logger, webhookService, jobQueueService)
+ * @returns {express.Router}
+ */
+function createWebhookRouter({ config, logger, webhookService, jobQueueService }) {
+  const router = express.Router();
+
+  // Keep the exact raw bytes for HMAC verification; must run before any JSON parser
+  router.use(express.raw({ type: '*/*', limit: '5mb' }));
+  router.use(verifyShopifyWebhook);
+
+  /**
+   * Dispatch a verified webhook by its X-Shopify-Topic
+   * Known topics are queued and answered immediately; unknown topics are
+   * logged and acknowledged so Shopify does not keep retrying them.
+   *
+   * With config.queue.runInline the job runs before the answer, and only a
+   * completed (or dead-lettered) job is acknowledged: anything else gets a
+   * 503 so Shopify delivers the webhook again.
+   */
+  const dispatchWebhook = async (req, res) => {
+    const { topic, id } = req.webhook;
+
+    if (!webhookService.handles(topic)) {
+      logger.warn(`Unhandled webhook topic: ${topic}`, { webhookId: id, shop: req.webhook.shopDomain });
+      return res.status(200).json({ success: true, handled: false, topic });
+    }
+
+    try {
+      const { jobId, duplicate } = webhookService.dispatch(topic, req.body, id);
+      logger.info(`Webhook ${topic} (${id}) ${duplicate ? 'was a duplicate' : `queued as job ${jobId}`}`);
+
+      if (!config.queue.runInline || !jobId) {
+        return res.status(200).json({ success: true, handled: true, topic, jobId, duplicate });
+      }
+
+      const job = await jobQueueService.runNow(jobId);
+      const status = job ? job.status : 'completed'; // pruned: completed long ago
+      if (!['completed', 'dead'].includes(status)) {
+        logger.warn(`Webhook ${topic} (${id}): job ${jobId} is ${status}, asking Shopify to retry`);
+        return res.status(503).json({ success: false, error: 'Webhook not processed yet', jobId, jobStatus: status });
+      }
+
+      res.status(200).json({ success: true, handled: true, topic, jobId, duplicate, jobStatus: status });
+    } catch (error) {
+      logger.error(`Failed to queue webhook ${topic}: ${error.message}`);
+      // Non-2xx, so Shopify retries the delivery
+      res.status(500).json({ success: false, error: 'Failed to queue webhook' });
+    }
+  };
+
+  /**
+   * POST /webhooks/shopify
+   * Single endpoint for all subscribed topics
+   */
+  router.post('/', dispatchWebhook);
+
+  /**
+   * POST /webhooks/shopify/orders-paid
+   * Legacy endpoint; topic still comes from X-Shopify-Topic
+   */
+  router.post('/orders-paid', (req, res, next) => {
+    req.webhook.topic = req.webhook.topic || 'orders/paid';
+    next();
+  }, dispatchWebhook);
+
+  return router;
+}
+
+module.exports = createWebhookRouter;
@@ -0,0 +1,56 @@
+/**
+ * Import Bunjang listings into Shopify
+ *
+ * Usage:
+ *   node scripts/importProducts.js <pid> [<pid> ...]
+ *   node scripts/importProducts.js --query <name>
+ *   node scripts/importProducts.js --save-query <name> '<getProducts params JSON>'
+ *   node scripts/importProducts.js --list-queries
+ */
+const importService = require('../services/importService');
+
+async function main(args) {
+  const [first, ...rest] = args;
+
+  if (!first) {
+    console.log('Usage: node scripts/importProducts.js <pid>... | --query <name> | --save-query <name> <json> | --list-queries');
+    return 1;
+  }
+
+  if (first === '--list-queries') {
+    console.log(JSON.stringify(importService.listQueries(), null, 2));
+    return 0;
+  }
+
+  if (first === '--save-query') {
+    const [name, json] = rest;
+    const saved = importService.saveQuery(name, JSON.parse(json || '{}'));
+    console.log(`Saved query "${name}":`, JSON.stringify(saved.params));
+    return 0;
+  }
+
+  if (first === '--query') {
+    const summary = await importService.importQuery(rest[0]);
+    console.log(JSON.stringify(summary, null, 2));
+    return summary.failed > 0 ? 1 : 0;
+  }
+
+  let failed = 0;
+  for (const pid of args) {
+    try {
+      const result = await importService.importProduct(pid);
+      console.log(`${pid}: ${result.action}${result.productId ? ` (Shopify product ${result.productId})` : ''}`);
+    } catch (error) {
+      failed++;
+      console.error(`${pid}: failed - ${error.message}`);
+    }
+  }
+  return failed > 0 ? 1 : 0;
+}
+
+main(process.argv.slice(2))
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  });
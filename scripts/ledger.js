@@ -0,0 +1,34 @@
+/**
+ * Query the order ledger
+ *
+ * Usage:
+ *   node scripts/ledger.js order <shopifyOrderId>
+ *   node scripts/ledger.js bunjang <bunjangOrderId>
+ *   node scripts/ledger.js pid <pid>
+ *   node scripts/ledger.js list [status] [limit]
+ *   node scripts/ledger.js forecast    (points unpaid orders need vs. last known balance)
+ */
+const orderLedgerService = require('../services/orderLedgerService');
+const pointBalanceService = require('../services/pointBalanceService');
+
+const [command, arg, limit] = process.argv.slice(2);
+
+const commands = {
+  order: () => orderLedgerService.getOrderSummary(arg),
+  bunjang: () => orderLedgerService.findByBunjangOrder(arg),
+  pid: () => orderLedgerService.findByPid(arg),
+  list: () => orderLedgerService.list({ status: arg, limit: parseInt(limit) || 50 }),
+  forecast: () => pointBalanceService.forecast(),
+};
+
+if (!commands[command]) {
+  console.log('Usage: node scripts/ledger.js order <id> | bunjang <id> | pid <pid> | list [status] [limit] | forecast');
+  process.exit(1);
+}
+
+const result = commands[command]();
+if (!result) {
+  console.log('No ledger entries found');
+  process.exit(1);
+}
+console.log(JSON.stringify(result, null, 2));
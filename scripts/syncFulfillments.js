@@ -0,0 +1,23 @@
+/**
+ * Run one Bunjang shipping / tracking sync pass over open purchases
+ *
+ * Usage:
+ *   node scripts/syncFulfillments.js [--concurrency <n>]
+ */
+const config = require('../config');
+const fulfillmentSyncService = require('../services/fulfillmentSyncService');
+
+const args = process.argv.slice(2);
+const concurrencyIndex = args.indexOf('--concurrency');
+const concurrency = concurrencyIndex >= 0 ? parseInt(args[concurrencyIndex + 1]) : config.fulfillment.concurrency;
+
+fulfillmentSyncService
+  .run({ concurrency })
+  .then((report) => {
+    console.log(JSON.stringify(report, null, 2));
+    process.exit(report.errors > 0 ? 1 : 0);
+  })
+  .catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,23 @@
+/**
+ * Run one sold-out / price sync pass over imported products
+ *
+ * Usage:
+ *   node scripts/syncInventory.js [--concurrency <n>]
+ */
+const config = require('../config');
+const inventorySyncService = require('../services/inventorySyncService');
+
+const args = process.argv.slice(2);
+const concurrencyIndex = args.indexOf('--concurrency');
+const concurrency = concurrencyIndex >= 0 ? parseInt(args[concurrencyIndex + 1]) : config.sync.concurrency;
+
+inventorySyncService
+  .run({ concurrency })
+  .then((report) => {
+    console.log(JSON.stringify(report, null, 2));
+    process.exit(report.errors > 0 ? 1 : 0);
+  })
+  .catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,60 @@
+const axios = require('axios');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+/**
+ * Ops alerts
+ *
+ * Every alert is logged. When config.alerts.webhookUrl is set it is also
+ * posted there as `{ text }` (Slack/Discord-compatible incoming webhook).
+ * Alerts are keyed so a condition that persists (e.g. a low balance seen
+ * on every check) is only sent once per cooldown.
+ */
+class AlertService {
+  constructor() {
+    this.lastSent = new Map(); // key -> timestamp (ms)
+  }
+
+  /**
+   * Send an alert unless the same key was sent within the cooldown
+   *
+   * @param {string} key - Alert identity used for the cooldown (e.g. 'points:low-balance')
+   * @param {string} message - Human-readable alert text
+   * @param {object} details - Extra context (logged, not posted)
+   * @returns {Promise<boolean>} true if the alert was sent
+   */
+  async notify(key, message, details = {}) {
+    const now = Date.now();
+    const cooldownMs = config.alerts.cooldownMinutes * 60 * 1000;
+
+    if (this.lastSent.has(key) && now - this.lastSent.get(key) < cooldownMs) {
+      logger.debug(`Alert ${key} suppressed (cooldown)`);
+      return false;
+    }
+    this.lastSent.set(key, now);
+
+    logger.error(`[ALERT] ${message}`, { alert: key, ...details });
+
+    if (!config.alerts.webhookUrl) {
+      return true;
+    }
+
+    try {
+      await axios.post(config.alerts.webhookUrl, { text: `[bunjang-shopify] ${message}` }, { timeout: 10000 });
+    } catch (error) {
+      logger.error(`Failed to post alert ${key}: ${error.message}`);
+    }
+    return true;
+  }
+
+  /**
+   * Forget the cooldown for a key, so the next alert is sent right away
+   * (call when the condition clears)
+   * @param {string} key
+   */
+  clear(key) {
+    this.lastSent.delete(key);
+  }
+}
+
+module.exports = new AlertService();
@@ -1,11 +1,35 @@
 const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
 const logger = require('../utils/logger');
 const config = require('../config');
 const cacheService = require('./cacheService');
+const alertService = require('./alertService');
 const bunjangAuth = require('./bunjangAuthService');
+const pricingService = require('./pricingService');
+const complianceService = require('./complianceService');
+const {
+  BunjangOrderError,
+  ProductSoldOutError,
+  PriceChangedError,
+  OrderOutcomeUnknownError,
+  InsufficientPointsError,
+  OrderNotCancellableError,
+  BunjangUnavailableError,
+} = require('../utils/errors');
+const { TokenBucket, CircuitBreaker, backoffDelay, parseRetryAfter, sleep } = require('../utils/resilience');
+
+// Bunjang order API error codes, grouped by how we handle them
+const SOLD_OUT_CODES = ['PRODUCT_SOLD_OUT', 'PRODUCT_NOT_FOR_SALE', 'PRODUCT_RESERVED', 'PRODUCT_NOT_FOUND'];
+const PRICE_CHANGED_CODES = ['PRODUCT_PRICE_CHANGED', 'DELIVERY_PRICE_CHANGED'];
+const INSUFFICIENT_POINT_CODES = ['INSUFFICIENT_POINT', 'NOT_ENOUGH_POINT'];
+const NOT_CANCELLABLE_CODES = ['ORDER_NOT_CANCELLABLE', 'ORDER_ALREADY_SHIPPED', 'ORDER_CONFIRMED'];
+const ALREADY_CANCELLED_CODES = ['ORDER_ALREADY_CANCELLED'];
 
 class BunjangService {
   constructor() {
+    // In-flight cache refreshes by cache key (see cached())
+    this.inflight = new Map();
+
     this.client = axios.create({
       baseURL: config.bunjang.apiUrl,
       timeout: 10000, // 10 seconds timeout
@@ -14,10 +38,28 @@ class BunjangService {
       },
     });
 
-    // Add request interceptor for JWT token generation and logging
+    const { retry, rateLimit, circuitBreaker } = config.bunjang;
+    this.retry = retry;
+    this.rateLimiter = new TokenBucket(rateLimit);
+    this.breaker = new CircuitBreaker({
+      threshold: circuitBreaker.threshold,
+      cooldownMs: circuitBreaker.cooldownSeconds * 1000,
+      onStateChange: (from, to) => this.onBreakerStateChange(from, to),
+    });
+
+    // Add request interceptor for circuit breaker, rate limiting, JWT token generation and logging
     this.client.interceptors.request.use(
-      (reqConfig) => {
-        // Generate fresh JWT token for each request (valid for 5 seconds)
+      async (reqConfig) => {
+        if (!this.breaker.allowRequest()) {
+          throw new BunjangUnavailableError(Math.ceil(this.breaker.retryInMs() / 1000) || 1);
+        }
+
+        const waitedMs = await this.rateLimiter.take();
+        if (waitedMs > 0) {
+          logger.debug(`Bunjang rate limiter delayed ${reqConfig.url} by ${waitedMs}ms`);
+        }
+
+        // Generate fresh JWT token for each request (valid for 5 seconds), after any wait
         const method = reqConfig.method ? reqConfig.method.toUpperCase() : 'GET';
         reqConfig.headers['Authorization'] = bunjangAuth.getAuthHeader(method);
 
@@ -30,13 +72,19 @@ class BunjangService {
       }
     );
 
-    // Add response interceptor for logging
+    // Add response interceptor for logging, circuit breaker bookkeeping and retries
     this.client.interceptors.response.use(
       (response) => {
+        this.breaker.recordSuccess();
         logger.debug(`Bunjang API Response: ${response.status} ${response.config.url}`);
         return response;
       },
-      (error) => {
+      async (error) => {
+        // Short-circuited by the breaker: nothing was sent
+        if (error instanceof BunjangUnavailableError) {
+          return Promise.reject(error);
+        }
+
         // Log detailed error information
         const errorInfo = {
           url: error.config?.url,
@@ -57,7 +105,23 @@ class BunjangService {
         }
 
         logger.error('Bunjang API Response Error:', errorInfo);
-        return Promise.reject(error);
+
+        // Network errors and 5xx count against the breaker; any other answer means Bunjang is up
+        if (this.isUpstreamFailure(error)) {
+          this.breaker.recordFailure(error);
+        } else {
+          this.breaker.recordSuccess();
+        }
+
+        const delayMs = this.retryDelay(error);
+        if (delayMs === null) {
+          return Promise.reject(error);
+        }
+
+        error.config.retryCount = (error.config.retryCount || 0) + 1;
+        logger.warn(`Retrying Bunjang ${error.config.url} in ${delayMs}ms (attempt ${error.config.retryCount}/${this.retry.maxRetries})`);
+        await sleep(delayMs);
+        return this.client.request(error.config);
       }
     );
 
@@ -83,35 +147,11 @@ class BunjangService {
    * @returns {Promise<object>} Products data with pagination
    */
   async getProducts(params = {}) {
-    const cacheKey = `products:${JSON.stringify(params)}`;
-
-    // Try to get from cache first
-    const cached = cacheService.get(cacheKey);
-    if (cached) {
-      return cached;
-    }
-
-    try {
+    return this.cached(`products:${JSON.stringify(params)}`, config.cache.productsTTL, async () => {
       // Correct endpoint: /api/v1/products (GET)
       const response = await this.client.get('/api/v1/products', { params });
-      const data = response.data;
-
-      // Cache the result
-      cacheService.set(cacheKey, data, config.cache.productsTTL);
-
-      return data;
-    } catch (error) {
-      logger.error('Failed to fetch products:', error.message);
-
-      // Return cached data if available, even if expired
-      const expiredCache = cacheService.get(cacheKey);
-      if (expiredCache) {
-        logger.warn('Returning expired cache due to API error');
-        return expiredCache;
-      }
-
-      throw error;
-    }
+      return response.data;
+    });
   }
 
   /**
@@ -119,52 +159,28 @@ class BunjangService {
    * @returns {Promise<object>} On-sale products data
    */
   async getOnSaleProducts() {
-    const cacheKey = 'products:on-sale';
-
-    const cached = cacheService.get(cacheKey);
-    if (cached) {
-      return cached;
-    }
-
-    try {
+    return this.cached('products:on-sale', config.cache.productsTTL, async () => {
       const response = await this.client.get('/api/v1/products/on-sale');
-      const data = response.data;
-
-      cacheService.set(cacheKey, data, config.cache.productsTTL);
-
-      return data;
-    } catch (error) {
-      logger.error('Failed to fetch on-sale products:', error.message);
-      throw error;
-    }
+      return response.data;
+    });
   }
 
   /**
    * Get single product by ID (pid)
    * Based on: https://api.bgzt.guide/api-10622538
    * @param {string} productId - Product ID (pid)
+   * @param {object} options
+   * @param {boolean} options.skipCache - Always call Bunjang (result is still cached)
    * @returns {Promise<object>} Product data
    */
-  async getProduct(productId) {
-    const cacheKey = `product:${productId}`;
-
-    const cached = cacheService.get(cacheKey);
-    if (cached) {
-      return cached;
-    }
-
-    try {
+  async getProduct(productId, { skipCache = false } = {}) {
+    const fetchProduct = async () => {
       // Correct endpoint: /api/v1/products/{pid}
       const response = await this.client.get(`/api/v1/products/${productId}`);
-      const data = response.data;
-
-      cacheService.set(cacheKey, data, config.cache.productDetailTTL);
+      return response.data;
+    };
 
-      return data;
-    } catch (error) {
-      logger.error(`Failed to fetch product ${productId}:`, error.message);
-      throw error;
-    }
+    return this.cached(`product:${productId}`, config.cache.productDetailTTL, fetchProduct, { skipCache });
   }
 
   /**
@@ -172,49 +188,141 @@ class BunjangService {
    * @returns {Promise<object>} Categories data
    */
   async getCategories() {
-    const cacheKey = 'categories';
+    return this.cached('categories', config.cache.categoriesTTL, async () => {
+      const response = await this.client.get('/api/v1/categories');
+      return response.data;
+    });
+  }
 
-    const cached = cacheService.get(cacheKey);
-    if (cached) {
-      return cached;
-    }
+  /**
+   * Get brands list
+   * @returns {Promise<object>} Brands data
+   */
+  async getBrands() {
+    return this.cached('brands', config.cache.categoriesTTL, async () => {
+      const response = await this.client.get('/api/v1/brands');
+      return response.data;
+    });
+  }
 
-    try {
-      const response = await this.client.get('/api/v1/categories');
-      const data = response.data;
+  /**
+   * Whether an error means Bunjang itself is failing (network error, timeout, 5xx)
+   * @param {Error} error - axios error
+   * @returns {boolean}
+   */
+  isUpstreamFailure(error) {
+    const status = error.response?.status;
+    return !status || status >= 500;
+  }
+
+  /**
+   * How long to wait before retrying a failed request
+   * Only idempotent GETs are retried, on network errors, 429 and 5xx.
+   * A Retry-After header wins over the backoff, unless it is longer than maxDelayMs.
+   *
+   * @param {Error} error - axios error
+   * @returns {number|null} delay in ms, or null to give up
+   */
+  retryDelay(error) {
+    const reqConfig = error.config;
+    if (!reqConfig || (reqConfig.method || 'get').toLowerCase() !== 'get') return null;
+    if (axios.isCancel(error)) return null;
 
-      cacheService.set(cacheKey, data, config.cache.categoriesTTL);
+    const attempt = reqConfig.retryCount || 0;
+    if (attempt >= this.retry.maxRetries || this.breaker.state === 'open') return null;
 
-      return data;
-    } catch (error) {
-      logger.error('Failed to fetch categories:', error.message);
-      throw error;
+    const status = error.response?.status;
+    if (status && status !== 429 && status < 500) return null;
+
+    const retryAfterMs = parseRetryAfter(error.response?.headers?.['retry-after']);
+    if (retryAfterMs !== null) {
+      return retryAfterMs <= this.retry.maxDelayMs ? retryAfterMs : null;
+    }
+
+    return backoffDelay(attempt, this.retry);
+  }
+
+  onBreakerStateChange(from, to) {
+    if (to === 'open') {
+      const { lastError, failures } = this.breaker.getStatus();
+      alertService.notify('bunjang:circuit-open', `Bunjang API circuit breaker opened after ${failures} failures; serving cached data only`, {
+        lastError: lastError?.message,
+        retryAt: new Date(Date.now() + this.breaker.retryInMs()).toISOString(),
+      });
+    } else if (to === 'closed') {
+      logger.info(`Bunjang circuit breaker closed (was ${from})`);
+      alertService.clear('bunjang:circuit-open');
+    } else {
+      logger.info('Bunjang circuit breaker half-open, sending a trial request');
     }
   }
 
   /**
-   * Get brands list
-   * @returns {Promise<object>} Brands data
+   * Client resilience status (for /health)
+   * @returns {object} { circuitBreaker, rateLimiter }
    */
-  async getBrands() {
-    const cacheKey = 'brands';
+  getStatus() {
+    return {
+      circuitBreaker: this.breaker.getStatus(),
+      rateLimiter: this.rateLimiter.getStatus(),
+    };
+  }
 
-    const cached = cacheService.get(cacheKey);
-    if (cached) {
-      return cached;
+  /**
+   * Stale-while-revalidate read-through cache
+   *
+   * Entries are stored as { value, freshUntil } and kept for `ttl` + staleTTL:
+   * - fresh (within ttl): returned as is
+   * - stale (past ttl, within staleTTL): returned immediately, refreshed in the background
+   * - missing: fetched from Bunjang
+   * Concurrent fetches of the same key share one upstream request.
+   *
+   * @param {string} cacheKey
+   * @param {number} ttl - Soft TTL in seconds
+   * @param {function(): Promise<*>} load - Loads the value from Bunjang
+   * @param {object} options
+   * @param {boolean} options.skipCache - Ignore cached data (the result is still cached)
+   * @returns {Promise<*>} value
+   */
+  async cached(cacheKey, ttl, load, { skipCache = false } = {}) {
+    const entry = skipCache ? undefined : await cacheService.get(cacheKey);
+
+    if (entry && entry.freshUntil !== undefined) {
+      if (Date.now() >= entry.freshUntil) {
+        logger.debug(`Serving stale cache for ${cacheKey}, refreshing in background`);
+        this.revalidate(cacheKey, ttl, load).catch(() => {
+          // Logged in revalidate; keep serving stale data until the hard TTL
+        });
+      }
+      return entry.value;
     }
 
-    try {
-      const response = await this.client.get('/api/v1/brands');
-      const data = response.data;
+    return this.revalidate(cacheKey, ttl, load);
+  }
 
-      cacheService.set(cacheKey, data, config.cache.categoriesTTL);
+  /**
+   * Fetch a value and store it for cached(), one request per key at a time
+   * @returns {Promise<*>} value
+   */
+  revalidate(cacheKey, ttl, load) {
+    if (!this.inflight.has(cacheKey)) {
+      const request = (async () => {
+        try {
+          const value = await load();
+          await cacheService.set(cacheKey, { value, freshUntil: Date.now() + ttl * 1000 }, ttl + config.cache.staleTTL);
+          return value;
+        } catch (error) {
+          logger.error(`Failed to fetch ${cacheKey}: ${error.message}`);
+          throw error;
+        }
+      })().finally(() => {
+        this.inflight.delete(cacheKey);
+      });
 
-      return data;
-    } catch (error) {
-      logger.error('Failed to fetch brands:', error.message);
-      throw error;
+      this.inflight.set(cacheKey, request);
     }
+
+    return this.inflight.get(cacheKey);
   }
 
   /**
@@ -232,31 +340,230 @@ class BunjangService {
   }
 
   /**
-   * Convert KRW to USD with 10% markup
-   * @param {number} krwPrice - Price in Korean Won
-   * @returns {number} Price in USD with markup
+   * Place an order on Bunjang, paid with our point balance
+   *
+   * The listing is re-checked first, so sold-out items, restricted items and
+   * price changes surface as typed errors before anything is spent. In dry-run mode
+   * (config.bunjang.orderDryRun) the checks run but no order is placed.
+   *
+   * @param {object} order
+   * @param {string} order.pid - Bunjang product ID
+   * @param {number} order.expectedPriceKRW - Price we sold at (optional, skips the check when omitted)
+   * @param {string} order.reference - Our reference for the purchase (ledger entry ID), sent as the
+   *   idempotency key so a repeated request cannot place a second order
+   * @param {object} options
+   * @param {boolean} options.dryRun - Override config.bunjang.orderDryRun
+   * @returns {Promise<object>} { orderId, status, priceKRW, shippingFeeKRW, dryRun }
+   * @throws {ProductSoldOutError|RestrictedProductError|PriceChangedError|InsufficientPointsError|
+   *   OrderOutcomeUnknownError|BunjangOrderError}
    */
-  convertPriceToUSD(krwPrice) {
-    const USD_EXCHANGE_RATE = 1350; // 1 USD = 1350 KRW (approximate)
-    const MARKUP_PERCENT = 0.10; // 10% markup
+  async createOrder({ pid, expectedPriceKRW, reference }, { dryRun = config.bunjang.orderDryRun } = {}) {
+    let product;
+    try {
+      const response = await this.getProduct(pid, { skipCache: true });
+      product = response.data || response;
+    } catch (error) {
+      if (error.response && error.response.status === 404) {
+        throw new ProductSoldOutError(pid, { saleStatus: 'DELETED' });
+      }
+      throw new BunjangOrderError(`Failed to check Bunjang product ${pid}: ${error.message}`);
+    }
+
+    if (product.saleStatus !== 'SELLING' || product.quantity === 0) {
+      throw new ProductSoldOutError(pid, { saleStatus: product.saleStatus });
+    }
+
+    // Export-compliance policies may have changed since the item was listed
+    complianceService.assertPurchasable(product);
+
+    if (expectedPriceKRW != null && Number(product.price) !== Number(expectedPriceKRW)) {
+      throw new PriceChangedError(pid, Number(expectedPriceKRW), Number(product.price));
+    }
+
+    const priceKRW = Number(product.price);
+    const shippingFeeKRW = Number(product.shippingFee) || 0;
 
-    // Convert to USD
-    const usdPrice = krwPrice / USD_EXCHANGE_RATE;
+    if (dryRun) {
+      const orderId = `DRYRUN-${uuidv4()}`;
+      logger.warn(`[DRY RUN] Bunjang order for ${pid} not placed (${priceKRW} + ${shippingFeeKRW} KRW)`, { orderId });
+      return { orderId, status: 'DRY_RUN', priceKRW, shippingFeeKRW, dryRun: true };
+    }
 
-    // Add 10% markup
-    const priceWithMarkup = usdPrice * (1 + MARKUP_PERCENT);
+    try {
+      // POST requests carry a fresh JWT with nonce (see request interceptor)
+      const response = await this.client.post(
+        '/api/v2/orders',
+        {
+          product: { id: Number(pid), price: priceKRW },
+          deliveryPrice: shippingFeeKRW,
+        },
+        { headers: reference ? { 'Idempotency-Key': String(reference) } : {} }
+      );
+      const data = response.data.data || response.data;
+
+      logger.info(`Bunjang order ${data.id} placed for product ${pid}`);
+      return {
+        orderId: String(data.id),
+        status: data.status || 'PAYMENT_RECEIVED',
+        priceKRW,
+        shippingFeeKRW,
+        dryRun: false,
+      };
+    } catch (error) {
+      throw this.toOrderError(error, { pid, expectedPriceKRW: priceKRW });
+    }
+  }
 
-    // Round to 2 decimal places
-    return Math.round(priceWithMarkup * 100) / 100;
+  /**
+   * Get a Bunjang order with its delivery status
+   *
+   * @param {string} orderId - Bunjang order ID
+   * @returns {Promise<object>} { orderId, status, carrier, trackingNumber, shippedAt, deliveredAt }
+   */
+  async getOrder(orderId) {
+    try {
+      const response = await this.client.get(`/api/v1/orders/${orderId}`);
+      const data = response.data.data || response.data;
+      const delivery = data.delivery || data.shipping || {};
+
+      return {
+        orderId: String(data.id || orderId),
+        status: data.status,
+        carrier: delivery.companyName || delivery.company || delivery.courier || null,
+        trackingNumber: delivery.trackingNumber || delivery.invoiceNumber || delivery.invoiceNo || null,
+        shippedAt: delivery.shippedAt || data.shippedAt || null,
+        deliveredAt: delivery.deliveredAt || data.deliveredAt || null,
+      };
+    } catch (error) {
+      logger.error(`Failed to fetch Bunjang order ${orderId}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Find our Bunjang order for a product
+   * Used before placing an order again after a failed attempt, which may
+   * have gone through on Bunjang's side.
+   *
+   * @param {string} pid - Bunjang product ID
+   * @param {object} options
+   * @param {string} options.since - ISO timestamp; older orders are ignored
+   * @returns {Promise<object|null>} { orderId, status, priceKRW, shippingFeeKRW } or null when there is none
+   */
+  async findOrderByProduct(pid, { since } = {}) {
+    const response = await this.client.get('/api/v1/orders', { params: { productId: pid } });
+    const orders = response.data.data || response.data || [];
+
+    const match = (Array.isArray(orders) ? orders : []).find((order) => {
+      const productId = order.product?.id ?? order.productId;
+      return String(productId) === String(pid)
+        && order.status !== 'CANCELLED'
+        && (!since || !order.createdAt || new Date(order.createdAt) >= new Date(since));
+    });
+
+    if (!match) {
+      return null;
+    }
+    return {
+      orderId: String(match.id),
+      status: match.status,
+      priceKRW: match.product?.price ?? null,
+      shippingFeeKRW: match.deliveryPrice ?? null,
+    };
+  }
+
+  /**
+   * Cancel a Bunjang order
+   *
+   * Points are returned to our balance by Bunjang. Dry-run orders were never
+   * placed, so cancelling them succeeds without calling the API. An order
+   * that is already cancelled counts as cancelled.
+   *
+   * @param {string} orderId - Bunjang order ID
+   * @param {object} options
+   * @param {string} options.reason - Cancellation reason sent to Bunjang
+   * @returns {Promise<object>} { orderId, status, dryRun }
+   * @throws {OrderNotCancellableError|BunjangOrderError}
+   */
+  async cancelOrder(orderId, { reason = 'Customer order cancelled' } = {}) {
+    if (String(orderId).startsWith('DRYRUN-')) {
+      logger.warn(`[DRY RUN] Bunjang order ${orderId} cancelled locally`);
+      return { orderId: String(orderId), status: 'CANCELLED', dryRun: true };
+    }
+
+    try {
+      const response = await this.client.post(`/api/v1/orders/${orderId}/cancel`, { reason });
+      const data = response.data.data || response.data;
+
+      logger.info(`Bunjang order ${orderId} cancelled`);
+      return { orderId: String(orderId), status: data.status || 'CANCELLED', dryRun: false };
+    } catch (error) {
+      const body = error.response?.data || {};
+      const code = body.errorCode || body.code;
+      const message = body.reason || body.message || error.message;
+
+      if (ALREADY_CANCELLED_CODES.includes(code)) {
+        logger.info(`Bunjang order ${orderId} was already cancelled`);
+        return { orderId: String(orderId), status: 'CANCELLED', dryRun: false };
+      }
+      if (NOT_CANCELLABLE_CODES.includes(code)) {
+        throw new OrderNotCancellableError(orderId, { code, message });
+      }
+
+      const status = error.response?.status;
+      throw new BunjangOrderError(`Failed to cancel Bunjang order ${orderId}: ${message}`, {
+        code: code || 'BUNJANG_CANCEL_FAILED',
+        retryable: !status || status >= 500,
+        details: { status, code },
+      });
+    }
+  }
+
+  /**
+   * Map a Bunjang order API failure to a typed error
+   * @param {Error} error - axios error
+   * @param {object} context - { pid, expectedPriceKRW }
+   * @returns {BunjangOrderError}
+   */
+  toOrderError(error, { pid, expectedPriceKRW }) {
+    const body = error.response?.data || {};
+    const code = body.errorCode || body.code;
+    const message = body.reason || body.message || error.message;
+
+    if (SOLD_OUT_CODES.includes(code)) {
+      return new ProductSoldOutError(pid, { code, message });
+    }
+    if (PRICE_CHANGED_CODES.includes(code)) {
+      return new PriceChangedError(pid, expectedPriceKRW, body.price ?? null);
+    }
+    if (INSUFFICIENT_POINT_CODES.includes(code)) {
+      return new InsufficientPointsError(message, { code });
+    }
+
+    const status = error.response?.status;
+    if (!status && error.request) {
+      // Sent, but no answer: the order may exist, so it must not be posted again
+      return new OrderOutcomeUnknownError(pid, message);
+    }
+
+    return new BunjangOrderError(`Bunjang order failed for ${pid}: ${message}`, {
+      code: code || 'BUNJANG_ORDER_FAILED',
+      // Client errors will fail the same way again; 5xx and requests that never
+      // left (circuit breaker open, ...) may not
+      retryable: !status || status >= 500,
+      details: { status, code },
+    });
   }
 
   /**
    * Transform Bunjang product to Shopify-compatible format
    * Based on actual Bunjang API response structure
    * @param {object} bunjangProduct - Bunjang product object
+   * @param {number} exchangeRate - 1 KRW in the target currency (from exchangeRateService)
+   * @param {string} currency - Presentment currency (default: USD)
    * @returns {object} Shopify-compatible product object
    */
-  transformToShopifyFormat(bunjangProduct) {
+  transformToShopifyFormat(bunjangProduct, exchangeRate, currency = 'USD') {
     // Generate images array from imageUrlTemplate
     const images = [];
     if (bunjangProduct.imageUrlTemplate && bunjangProduct.imageCount) {
@@ -265,19 +572,20 @@ class BunjangService {
       }
     }
 
-    // Convert prices to USD with markup
-    const priceUSD = this.convertPriceToUSD(bunjangProduct.price);
-    const shippingFeeUSD = this.convertPriceToUSD(bunjangProduct.shippingFee || 0);
+    // Convert prices to the presentment currency through the pricing rules engine
+    const { price, rule } = pricingService.quote(bunjangProduct, exchangeRate, currency);
+    const shippingFee = pricingService.convertShippingFee(bunjangProduct.shippingFee, exchangeRate, currency);
 
     return {
       id: bunjangProduct.pid,
       title: bunjangProduct.name,
       description: bunjangProduct.description || '',
-      price: priceUSD,
+      price: price,
       priceKRW: bunjangProduct.price,
-      shippingFee: shippingFeeUSD,
+      shippingFee: shippingFee, // Bunjang's domestic leg only, see shippingService for the estimate
       shippingFeeKRW: bunjangProduct.shippingFee,
-      currency: 'USD',
+      currency: currency,
+      pricingRule: rule.id,
       images: images,
       imageUrlTemplate: bunjangProduct.imageUrlTemplate,
       imageCount: bunjangProduct.imageCount,
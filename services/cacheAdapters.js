@@ -0,0 +1,225 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const NodeCache = require('node-cache');
+const { RespClient } = require('../utils/respClient');
+
+/**
+ * Cache adapters
+ *
+ * An adapter stores JSON-serializable values under full (already
+ * namespaced) keys. Every method is async:
+ *
+ *   get(key)                 -> value | undefined
+ *   set(key, value, ttl)     -> true (ttl in seconds, 0 = no expiry)
+ *   del(keys)                -> number of deleted keys
+ *   delPrefix(prefix)        -> number of deleted keys
+ *   stats(prefix)            -> { keys, ksize, vsize } for keys under prefix
+ *   close()
+ *
+ * Register additional adapters with `registerAdapter(name, factory)` and
+ * select them with CACHE_ADAPTER.
+ */
+const factories = new Map();
+
+/**
+ * Register an adapter factory
+ * @param {string} name - Adapter name used in config.cache.adapter
+ * @param {function(object): object} factory - Receives config.cache, returns an adapter
+ */
+function registerAdapter(name, factory) {
+  factories.set(name, factory);
+}
+
+/**
+ * Create an adapter by name
+ * @param {string} name
+ * @param {object} options - config.cache
+ * @returns {object} adapter
+ */
+function createAdapter(name, options) {
+  const factory = factories.get(name);
+  if (!factory) {
+    throw new Error(`Unknown cache adapter: ${name}`);
+  }
+  return factory(options);
+}
+
+// In-process node-cache: fastest, but per instance and empty after every restart
+registerAdapter('memory', () => {
+  const cache = new NodeCache({
+    checkperiod: 120, // Check for expired keys every 120 seconds
+    useClones: false, // Don't clone objects for better performance
+  });
+
+  const keysWithPrefix = (prefix) => cache.keys().filter((key) => key.startsWith(prefix));
+
+  return {
+    name: 'memory',
+    async get(key) {
+      return cache.get(key);
+    },
+    async set(key, value, ttl) {
+      return cache.set(key, value, ttl || 0);
+    },
+    async del(keys) {
+      return cache.del(keys);
+    },
+    async delPrefix(prefix) {
+      return cache.del(keysWithPrefix(prefix));
+    },
+    async stats(prefix) {
+      const keys = keysWithPrefix(prefix);
+      return {
+        keys: keys.length,
+        ksize: keys.reduce((sum, key) => sum + key.length, 0),
+        vsize: keys.reduce((sum, key) => sum + JSON.stringify(cache.get(key) ?? null).length, 0),
+      };
+    },
+    async close() {
+      cache.close();
+    },
+  };
+});
+
+// One JSON file per key: survives restarts and is shared by processes on the same disk
+registerAdapter('file', (options) => {
+  const dir = options.fileDir;
+  const fileFor = (key) => path.join(dir, `${crypto.createHash('sha1').update(key).digest('hex')}.json`);
+
+  const readEntry = async (file) => {
+    try {
+      const entry = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+      if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+        await fs.promises.rm(file, { force: true });
+        return null;
+      }
+      return entry;
+    } catch (error) {
+      return null; // missing, or half-written by another process
+    }
+  };
+
+  const entriesWithPrefix = async (prefix) => {
+    let files;
+    try {
+      files = await fs.promises.readdir(dir);
+    } catch (error) {
+      return [];
+    }
+
+    const entries = [];
+    for (const name of files.filter((file) => file.endsWith('.json'))) {
+      const file = path.join(dir, name);
+      const entry = await readEntry(file);
+      if (entry && entry.key.startsWith(prefix)) {
+        entries.push({ file, entry });
+      }
+    }
+    return entries;
+  };
+
+  return {
+    name: 'file',
+    async get(key) {
+      const entry = await readEntry(fileFor(key));
+      return entry ? entry.value : undefined;
+    },
+    async set(key, value, ttl) {
+      const file = fileFor(key);
+      const tmp = `${file}.${process.pid}.tmp`;
+      const entry = { key, value, expiresAt: ttl ? Date.now() + ttl * 1000 : null };
+
+      await fs.promises.mkdir(dir, { recursive: true });
+      await fs.promises.writeFile(tmp, JSON.stringify(entry));
+      await fs.promises.rename(tmp, file);
+      return true;
+    },
+    async del(keys) {
+      let deleted = 0;
+      for (const key of [].concat(keys)) {
+        const file = fileFor(key);
+        if (await readEntry(file)) {
+          await fs.promises.rm(file, { force: true });
+          deleted++;
+        }
+      }
+      return deleted;
+    },
+    async delPrefix(prefix) {
+      const entries = await entriesWithPrefix(prefix);
+      await Promise.all(entries.map(({ file }) => fs.promises.rm(file, { force: true })));
+      return entries.length;
+    },
+    async stats(prefix) {
+      const entries = await entriesWithPrefix(prefix);
+      return {
+        keys: entries.length,
+        ksize: entries.reduce((sum, { entry }) => sum + entry.key.length, 0),
+        vsize: entries.reduce((sum, { entry }) => sum + JSON.stringify(entry.value ?? null).length, 0),
+      };
+    },
+    async close() {},
+  };
+});
+
+// Redis protocol (redis-server, KeyDB, Upstash, ...): shared by every instance, incl. serverless
+registerAdapter('redis', (options) => {
+  const client = new RespClient({ url: options.redisUrl, timeoutMs: options.redisTimeoutMs });
+
+  const scan = async (prefix) => {
+    const keys = [];
+    let cursor = '0';
+    do {
+      const [next, batch] = await client.command('SCAN', cursor, 'MATCH', `${prefix.replace(/[*?[\]\\]/g, '\\$&')}*`, 'COUNT', 500);
+      cursor = next;
+      keys.push(...batch);
+    } while (cursor !== '0');
+    return keys;
+  };
+
+  const delAll = async (keys) => {
+    let deleted = 0;
+    for (let i = 0; i < keys.length; i += 500) {
+      deleted += await client.command('DEL', ...keys.slice(i, i + 500));
+    }
+    return deleted;
+  };
+
+  return {
+    name: 'redis',
+    async get(key) {
+      const raw = await client.command('GET', key);
+      return raw === null ? undefined : JSON.parse(raw);
+    },
+    async set(key, value, ttl) {
+      const args = ['SET', key, JSON.stringify(value)];
+      if (ttl) args.push('EX', Math.ceil(ttl));
+      await client.command(...args);
+      return true;
+    },
+    async del(keys) {
+      return delAll([].concat(keys));
+    },
+    async delPrefix(prefix) {
+      return delAll(await scan(prefix));
+    },
+    async stats(prefix) {
+      const keys = await scan(prefix);
+      const sizes = await Promise.all(keys.map((key) => client.command('STRLEN', key)));
+      return {
+        keys: keys.length,
+        ksize: keys.reduce((sum, key) => sum + key.length, 0),
+        vsize: sizes.reduce((sum, size) => sum + size, 0),
+      };
+    },
+    async close() {
+      await client.close();
+    },
+  };
+});
+
+module.exports = {
+  registerAdapter,
+  createAdapter,
+};
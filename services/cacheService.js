@@ -1,34 +1,44 @@
-const NodeCache = require('node-cache');
 const logger = require('../utils/logger');
 const config = require('../config');
+const { createAdapter } = require('./cacheAdapters');
 
+/**
+ * Cache facade over the configured adapter (see services/cacheAdapters.js)
+ *
+ * Keys are stored as `${namespace}:${key}`; callers only ever see their own
+ * keys. Every method is async and never throws: a broken cache backend
+ * degrades to cache misses instead of failing requests.
+ */
 class CacheService {
   constructor() {
-    this.cache = new NodeCache({
-      stdTTL: config.cache.productsTTL,
-      checkperiod: 120, // Check for expired keys every 120 seconds
-      useClones: false, // Don't clone objects for better performance
-    });
+    this.namespace = config.cache.namespace;
+    this.prefix = `${this.namespace}:`;
+    this.adapter = createAdapter(config.cache.adapter, config.cache);
+    this.hits = 0;
+    this.misses = 0;
 
-    logger.info('Cache service initialized');
+    logger.info(`Cache service initialized (adapter: ${this.adapter.name}, namespace: ${this.namespace})`);
   }
 
   /**
    * Get a value from cache
    * @param {string} key
-   * @returns {*} cached value or undefined
+   * @returns {Promise<*>} cached value or undefined
    */
-  get(key) {
+  async get(key) {
     try {
-      const value = this.cache.get(key);
+      const value = await this.adapter.get(this.prefix + key);
       if (value !== undefined) {
+        this.hits++;
         logger.debug(`Cache HIT for key: ${key}`);
         return value;
       }
+      this.misses++;
       logger.debug(`Cache MISS for key: ${key}`);
       return undefined;
     } catch (error) {
-      logger.error('Cache get error:', error);
+      this.misses++;
+      logger.error(`Cache get error for key ${key}: ${error.message}`);
       return undefined;
     }
   }
@@ -36,57 +46,108 @@ class CacheService {
   /**
    * Set a value in cache
    * @param {string} key
-   * @param {*} value
-   * @param {number} ttl - Time to live in seconds (optional)
-   * @returns {boolean} success
+   * @param {*} value - Must be JSON-serializable (file / redis adapters)
+   * @param {number} ttl - Time to live in seconds (optional, default: products TTL)
+   * @returns {Promise<boolean>} success
    */
-  set(key, value, ttl) {
+  async set(key, value, ttl) {
     try {
-      const success = this.cache.set(key, value, ttl);
+      const success = await this.adapter.set(this.prefix + key, value, ttl || config.cache.productsTTL);
       if (success) {
         logger.debug(`Cache SET for key: ${key}, TTL: ${ttl || 'default'}`);
       }
       return success;
     } catch (error) {
-      logger.error('Cache set error:', error);
+      logger.error(`Cache set error for key ${key}: ${error.message}`);
       return false;
     }
   }
 
   /**
-   * Delete a key from cache
-   * @param {string} key
-   * @returns {number} number of deleted entries
+   * Delete one or more keys from cache
+   * @param {string|string[]} keys
+   * @returns {Promise<number>} number of deleted entries
    */
-  del(key) {
+  async del(keys) {
     try {
-      const deleted = this.cache.del(key);
-      logger.debug(`Cache DEL for key: ${key}`);
+      const deleted = await this.adapter.del([].concat(keys).map((key) => this.prefix + key));
+      logger.debug(`Cache DEL for key: ${keys}`);
       return deleted;
     } catch (error) {
-      logger.error('Cache delete error:', error);
+      logger.error(`Cache delete error: ${error.message}`);
       return 0;
     }
   }
 
   /**
-   * Clear all cache
+   * Delete keys by pattern
+   * A trailing `*` deletes every key with that prefix (e.g. `products:*`),
+   * anything else is an exact key.
+   * @param {string} pattern
+   * @returns {Promise<number>} number of deleted entries
    */
-  flush() {
+  async invalidate(pattern) {
+    if (!pattern.endsWith('*')) {
+      return this.del(pattern);
+    }
+
     try {
-      this.cache.flushAll();
-      logger.info('Cache flushed');
+      const deleted = await this.adapter.delPrefix(this.prefix + pattern.slice(0, -1));
+      logger.info(`Cache invalidated ${pattern} (${deleted} keys)`);
+      return deleted;
     } catch (error) {
-      logger.error('Cache flush error:', error);
+      logger.error(`Cache invalidate error for ${pattern}: ${error.message}`);
+      return 0;
+    }
+  }
+
+  /**
+   * Clear all cache (this namespace only)
+   * @returns {Promise<number>} number of deleted entries
+   */
+  async flush() {
+    try {
+      const deleted = await this.adapter.delPrefix(this.prefix);
+      logger.info(`Cache flushed (${deleted} keys)`);
+      return deleted;
+    } catch (error) {
+      logger.error(`Cache flush error: ${error.message}`);
+      return 0;
     }
   }
 
   /**
    * Get cache statistics
-   * @returns {object} cache stats
+   * Hits / misses are counted by this process; key counts and sizes come
+   * from the backend, so with a shared adapter they cover every instance.
+   * @returns {Promise<object>} { hits, misses, keys, ksize, vsize, adapter, namespace }
+   */
+  async getStats() {
+    let usage = { keys: 0, ksize: 0, vsize: 0 };
+    try {
+      usage = await this.adapter.stats(this.prefix);
+    } catch (error) {
+      logger.error(`Cache stats error: ${error.message}`);
+    }
+
+    return {
+      hits: this.hits,
+      misses: this.misses,
+      ...usage,
+      adapter: this.adapter.name,
+      namespace: this.namespace,
+    };
+  }
+
+  /**
+   * Close the backend connection (redis)
    */
-  getStats() {
-    return this.cache.getStats();
+  async close() {
+    try {
+      await this.adapter.close();
+    } catch (error) {
+      logger.error(`Cache close error: ${error.message}`);
+    }
   }
 }
 
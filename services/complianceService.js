@@ -0,0 +1,338 @@
+const fs = require('fs');
+const logger = require('../utils/logger');
+const config = require('../config');
+const JsonStore = require('../utils/jsonStore');
+const { RestrictedProductError } = require('../utils/errors');
+
+// From least to most restrictive; the most restrictive matching rule decides
+const ACTIONS = ['allow', 'flag', 'block', 'hide'];
+// Storefront hits are batched into one audit write
+const AUDIT_FLUSH_MS = 5000;
+
+/**
+ * Export-compliance policy engine
+ *
+ * Rules are read from a JSON file (config.compliance.policiesFile). Every
+ * rule whose `match` block fits a product applies, and the most restrictive
+ * action wins:
+ * - hide: left out of product lists, detail pages answer 404
+ * - block: shown with `compliance.purchasable: false`, refused at checkout
+ *   (hidden and blocked items are not imported into Shopify either)
+ * - flag: shown with the reasons in `compliance`
+ *
+ * Rule shape:
+ * {
+ *   "id": "batteries",
+ *   "name": "Loose batteries and power banks",
+ *   "action": "hide",
+ *   "reason": "Lithium batteries cannot be shipped internationally",
+ *   "match": {
+ *     "categoryIds": ["600100"],       // prefix match on Bunjang categoryId
+ *     "brandIds": ["1234"],
+ *     "keywords": ["보조배터리"],        // any of them, in the title or listing keywords (case-insensitive)
+ *     "words": ["가품"],                // same, but only as a whole word ("가품시" does not match)
+ *     "minPriceKRW": 500000,           // inclusive
+ *     "maxPriceKRW": 3000000           // exclusive
+ *   }
+ * }
+ * All criteria of a match block must fit. Descriptions are not searched:
+ * sellers mention batteries, chargers etc. on perfectly shippable items.
+ *
+ * Items hidden, blocked or flagged are recorded in an audit report
+ * (compliance-audit.json), one entry per product and rule.
+ */
+class ComplianceService {
+  constructor() {
+    this.policiesFile = config.compliance.policiesFile;
+    this.rules = [];
+    this.auditStore = new JsonStore('compliance-audit.json', { totals: {}, items: {} });
+    this.flushTimer = null;
+
+    this.reload();
+
+    logger.info('Compliance service initialized');
+  }
+
+  /**
+   * (Re)load policy rules from the policies file
+   * Keeps the previously loaded rules if the file is invalid
+   *
+   * @returns {number} number of loaded rules
+   */
+  reload() {
+    try {
+      const raw = JSON.parse(fs.readFileSync(this.policiesFile, 'utf8'));
+      const rules = Array.isArray(raw) ? raw : raw.rules;
+
+      if (!Array.isArray(rules)) {
+        throw new Error('Compliance policies file must contain a "rules" array');
+      }
+
+      this.rules = rules.map((rule, index) => {
+        const id = rule.id || `rule-${index + 1}`;
+        if (!ACTIONS.slice(1).includes(rule.action)) {
+          throw new Error(`Rule ${id}: action must be one of ${ACTIONS.slice(1).join(', ')}`);
+        }
+        return {
+          id,
+          ...rule,
+          keywords: (rule.match?.keywords || []).map((keyword) => String(keyword).toLowerCase()),
+          words: wordPattern(rule.match?.words),
+        };
+      });
+
+      logger.info(`Loaded ${this.rules.length} compliance rule(s) from ${this.policiesFile}`);
+    } catch (error) {
+      logger.error(`Failed to load compliance policies, keeping previous rules: ${error.message}`);
+    }
+
+    return this.rules.length;
+  }
+
+  /**
+   * Check whether a rule fits the product
+   * Accepts Bunjang products and transformed ones (transformToShopifyFormat)
+   *
+   * @param {object} rule - Loaded rule
+   * @param {object} product
+   * @returns {boolean}
+   */
+  matches(rule, product) {
+    const match = rule.match;
+    if (!match) return true;
+
+    const price = Number(product.priceKRW ?? product.price) || 0;
+    const categoryId = product.categoryId != null ? String(product.categoryId) : '';
+
+    if (match.categoryIds && !match.categoryIds.some((id) => categoryId.startsWith(String(id)))) {
+      return false;
+    }
+    if (match.brandIds && !match.brandIds.map(String).includes(String(product.brandId))) {
+      return false;
+    }
+    if (match.minPriceKRW != null && price < match.minPriceKRW) {
+      return false;
+    }
+    if (match.maxPriceKRW != null && price >= match.maxPriceKRW) {
+      return false;
+    }
+    if (rule.keywords.length || rule.words) {
+      const text = [product.title ?? product.name, ...[].concat(product.keywords || [])]
+        .filter(Boolean)
+        .join('\n')
+        .toLowerCase();
+      const found = rule.keywords.some((keyword) => text.includes(keyword))
+        || Boolean(rule.words && rule.words.test(text));
+      if (!found) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Evaluate the policies for a product
+   * @param {object} product
+   * @returns {object} { action: 'allow'|'flag'|'block'|'hide', rules: [{ id, action, reason }] }
+   */
+  evaluate(product) {
+    if (!config.compliance.enabled) {
+      return { action: 'allow', rules: [] };
+    }
+
+    const rules = this.rules
+      .filter((rule) => this.matches(rule, product))
+      .map(({ id, action, reason }) => ({ id, action, reason: reason || id }));
+    const action = rules.reduce(
+      (worst, rule) => (ACTIONS.indexOf(rule.action) > ACTIONS.indexOf(worst) ? rule.action : worst),
+      'allow'
+    );
+
+    return { action, rules };
+  }
+
+  /**
+   * Evaluate and audit one product
+   *
+   * @param {object} product
+   * @param {string} context - Where it was checked: list, detail, import, checkout
+   * @returns {object} verdict (see evaluate)
+   */
+  screen(product, context) {
+    const verdict = this.evaluate(product);
+    if (verdict.action !== 'allow') {
+      this.record(product, verdict, context);
+    }
+    return verdict;
+  }
+
+  /**
+   * Apply the policies to a product list
+   * Hidden products are dropped; blocked and flagged ones get a `compliance` field.
+   *
+   * @param {object[]} products - Bunjang or transformed products
+   * @param {string} context - list, detail, ...
+   * @returns {object[]} visible products (new objects where `compliance` was added)
+   */
+  applyToProducts(products, context = 'list') {
+    return products.reduce((visible, product) => {
+      const verdict = this.screen(product, context);
+
+      if (verdict.action === 'allow') {
+        visible.push(product);
+      } else if (verdict.action !== 'hide') {
+        visible.push({ ...product, compliance: this.describe(verdict) });
+      }
+      return visible;
+    }, []);
+  }
+
+  /**
+   * Storefront view of a verdict
+   * @param {object} verdict
+   * @returns {object} { action, purchasable, reasons }
+   */
+  describe(verdict) {
+    return {
+      action: verdict.action,
+      purchasable: verdict.action === 'allow' || verdict.action === 'flag',
+      reasons: verdict.rules.map((rule) => rule.reason),
+    };
+  }
+
+  /**
+   * Refuse restricted items before they are bought on Bunjang
+   *
+   * @param {object} product - Bunjang product
+   * @throws {RestrictedProductError} when a hide or block rule applies
+   */
+  assertPurchasable(product) {
+    const verdict = this.screen(product, 'checkout');
+    if (verdict.action === 'hide' || verdict.action === 'block') {
+      this.flushAudit();
+      throw new RestrictedProductError(
+        product.pid ?? product.id,
+        verdict.rules.filter((rule) => rule.action === 'hide' || rule.action === 'block')
+      );
+    }
+  }
+
+  /**
+   * Count a filtered product in the audit report (written in batches)
+   */
+  record(product, verdict, context) {
+    const data = this.auditStore.read();
+    const pid = String(product.pid ?? product.id);
+    const now = new Date().toISOString();
+
+    for (const rule of verdict.rules) {
+      const totals = (data.totals[rule.id] = data.totals[rule.id] || {});
+      totals[context] = (totals[context] || 0) + 1;
+
+      const key = `${pid}:${rule.id}`;
+      const item = data.items[key] || { pid, rule: rule.id, count: 0, firstSeenAt: now };
+      data.items[key] = {
+        ...item,
+        title: product.title ?? product.name,
+        action: rule.action,
+        reason: rule.reason,
+        context,
+        count: item.count + 1,
+        lastSeenAt: now,
+      };
+    }
+
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flushAudit(), AUDIT_FLUSH_MS);
+      this.flushTimer.unref();
+    }
+  }
+
+  /**
+   * Write the audit report, dropping the oldest items over the limit
+   */
+  flushAudit() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+
+    try {
+      this.auditStore.update((data) => {
+        const keys = Object.keys(data.items);
+        const excess = keys.length - config.compliance.auditMaxItems;
+        if (excess > 0) {
+          keys
+            .sort((a, b) => data.items[a].lastSeenAt.localeCompare(data.items[b].lastSeenAt))
+            .slice(0, excess)
+            .forEach((key) => delete data.items[key]);
+        }
+      });
+    } catch (error) {
+      // Runs from a timer; the report only loses the items since the last flush
+    }
+  }
+
+  /**
+   * Audit report: what was filtered and why
+   *
+   * @param {object} options
+   * @param {string} options.action - Only items filtered by this action
+   * @param {number} options.limit - Most recently seen items to return (default: 100)
+   * @returns {object} { enabled, policiesFile, rules, totals, items }
+   */
+  getReport({ action, limit = 100 } = {}) {
+    const data = this.auditStore.read();
+    const items = Object.values(data.items)
+      .filter((item) => !action || item.action === action)
+      .sort((a, b) => b.lastSeenAt.localeCompare(a.lastSeenAt))
+      .slice(0, limit);
+
+    return {
+      enabled: config.compliance.enabled,
+      policiesFile: this.policiesFile,
+      rules: this.rules.map(({ id, name, action: ruleAction, reason, match }) => ({
+        id,
+        name,
+        action: ruleAction,
+        reason,
+        match,
+      })),
+      totals: data.totals,
+      items,
+    };
+  }
+
+  /**
+   * Start a new audit report
+   * @returns {number} items removed
+   */
+  clearAudit() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+
+    return this.auditStore.update((data) => {
+      const count = Object.keys(data.items).length;
+      data.totals = {};
+      data.items = {};
+      return count;
+    });
+  }
+}
+
+/**
+ * Compile whole-word keywords into one pattern (tested on lowercased text)
+ * A word matches when no letter or digit touches it on either side.
+ *
+ * @param {Array<string>} words
+ * @returns {RegExp|null}
+ */
+function wordPattern(words) {
+  if (!words || !words.length) {
+    return null;
+  }
+
+  const terms = words.map((word) => String(word).toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${terms.join('|')})(?![\\p{L}\\p{N}])`, 'u');
+}
+
+module.exports = new ComplianceService();
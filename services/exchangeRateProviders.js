@@ -0,0 +1,77 @@
+const axios = require('axios');
+const config = require('../config');
+
+/**
+ * Exchange rate providers
+ *
+ * A provider is an object with a `name` and an async `fetchRates()` that
+ * resolves to a KRW-based rates table: { USD: 0.00074, EUR: 0.00068, ... }
+ * (1 KRW expressed in each currency). Providers whose rates are not market
+ * rates set `fixed: true` (see exchangeRateService.refresh).
+ *
+ * Register additional providers with `registerProvider(name, factory)` and
+ * list them in EXCHANGE_RATE_PROVIDERS.
+ */
+const factories = new Map();
+
+/**
+ * Register a provider factory
+ * @param {string} name - Provider name used in config.exchangeRate.providers
+ * @param {function(object): object} factory - Receives config.exchangeRate, returns a provider
+ */
+function registerProvider(name, factory) {
+  factories.set(name, factory);
+}
+
+/**
+ * Create a provider by name
+ * @param {string} name
+ * @returns {object} provider
+ */
+function createProvider(name) {
+  const factory = factories.get(name);
+  if (!factory) {
+    throw new Error(`Unknown exchange rate provider: ${name}`);
+  }
+  return factory(config.exchangeRate);
+}
+
+// open.er-api.com (free, no key): { "rates": { "USD": 0.00074 } }
+registerProvider('open-er-api', (options) => ({
+  name: 'open-er-api',
+  async fetchRates() {
+    const response = await axios.get(options.openErApiUrl, { timeout: 5000 });
+    return response.data.rates;
+  },
+}));
+
+// exchangerate-api.com (requires EXCHANGE_RATE_API_KEY): { "conversion_rates": { "USD": 0.00074 } }
+registerProvider('exchangerate-api', (options) => ({
+  name: 'exchangerate-api',
+  async fetchRates() {
+    if (!options.exchangeRateApiKey) {
+      throw new Error('EXCHANGE_RATE_API_KEY not configured');
+    }
+    const url = `https://v6.exchangerate-api.com/v6/${options.exchangeRateApiKey}/latest/KRW`;
+    const response = await axios.get(url, { timeout: 5000 });
+    return response.data.conversion_rates;
+  },
+}));
+
+// Fixed rates from configuration, as an explicit last resort (not in the default chain).
+// Only used when no live rate within maxAgeHours is left; quotes are then flagged stale.
+registerProvider('static', (options) => ({
+  name: 'static',
+  fixed: true,
+  async fetchRates() {
+    if (!Object.keys(options.staticRates).length) {
+      throw new Error('No static exchange rates configured');
+    }
+    return { ...options.staticRates };
+  },
+}));
+
+module.exports = {
+  registerProvider,
+  createProvider,
+};
@@ -0,0 +1,338 @@
+const logger = require('../utils/logger');
+const config = require('../config');
+const JsonStore = require('../utils/jsonStore');
+const { AppError, ExchangeRateUnavailableError } = require('../utils/errors');
+const { createProvider } = require('./exchangeRateProviders');
+const alertService = require('./alertService');
+
+/**
+ * Shared KRW exchange rate service
+ *
+ * - Tries the configured providers in order (fallback chain)
+ * - Refreshes at most once per config.exchangeRate.ttl; past the TTL the
+ *   cached rate keeps being served while the refresh runs in the background
+ * - Refuses to quote when the last good rate is older than maxAgeHours
+ * - Falls back to fixed (`static`) rates only when no live rate is usable,
+ *   flags those quotes stale and alerts ops
+ * - Supports an admin override rate per currency
+ * - Persists the current rates, override and a history of fetched and used rates
+ */
+class ExchangeRateService {
+  constructor() {
+    this.providers = config.exchangeRate.providers.map((name) => createProvider(name));
+    this.store = new JsonStore('exchange-rates.json', {
+      current: null, // { rates, source, fetchedAt }
+      overrides: {}, // { USD: { rate, reason, setAt, expiresAt } }
+      history: [],
+    });
+    this.refreshing = null;
+    this.lastUsed = new Map(); // currency -> last rate recorded as used (see recordUsage)
+
+    logger.info(`Exchange rate service initialized (providers: ${config.exchangeRate.providers.join(', ')})`);
+  }
+
+  /**
+   * Fetch fresh rates from the provider chain
+   * @returns {Promise<object|null>} new current rates, or null if every provider failed
+   */
+  async refresh() {
+    const cached = this.store.read().current;
+
+    for (const provider of this.providers) {
+      if (provider.fixed && cached && !cached.stale && !this.isTooOld(cached)) {
+        // A live rate within maxAgeHours beats a hard-coded one
+        logger.warn(`Live exchange rate providers failed, keeping the ${cached.source} rate from ${cached.fetchedAt}`);
+        return null;
+      }
+
+      let rates;
+      try {
+        logger.debug(`Fetching exchange rates from ${provider.name}`);
+        rates = await provider.fetchRates();
+
+        if (!rates || !rates.USD) {
+          throw new Error('Response contained no USD rate');
+        }
+      } catch (error) {
+        logger.warn(`Exchange rate provider ${provider.name} failed: ${error.message}`);
+        continue;
+      }
+
+      const current = {
+        rates,
+        source: provider.name,
+        fetchedAt: new Date().toISOString(),
+        ...(provider.fixed && { stale: true }),
+      };
+
+      try {
+        this.store.update((data) => {
+          data.current = current;
+          this.appendHistory(data, { source: provider.name, rates: this.pickSupported(rates) });
+        });
+      } catch (error) {
+        // Still good for the caller waiting on this refresh (JsonStore logged the failure)
+      }
+
+      if (provider.fixed) {
+        logger.error(`No live exchange rate available, quoting fixed ${provider.name} rates: 1 KRW = ${rates.USD} USD`);
+        alertService.notify(
+          'exchange-rate:fixed',
+          `All live exchange rate providers failed; prices use the fixed ${provider.name} rates (1 KRW = ${rates.USD} USD)`,
+          { providers: config.exchangeRate.providers }
+        );
+      } else {
+        logger.info(`Exchange rate updated from ${provider.name}: 1 KRW = ${rates.USD} USD`);
+        alertService.clear('exchange-rate:fixed');
+      }
+      return current;
+    }
+
+    logger.error('All exchange rate providers failed');
+    return null;
+  }
+
+  /**
+   * Start a refresh unless one is running
+   * @returns {Promise<object|null>} see refresh()
+   */
+  startRefresh() {
+    if (!this.refreshing) {
+      this.refreshing = this.refresh()
+        .catch((error) => {
+          logger.error(`Exchange rate refresh failed: ${error.message}`);
+          return null;
+        })
+        .finally(() => {
+          this.refreshing = null;
+        });
+    }
+    return this.refreshing;
+  }
+
+  /**
+   * Get the current rates table, refreshing it when older than the TTL
+   * A rate past the TTL but within maxAgeHours is returned right away while
+   * the refresh runs in the background; only callers without a usable rate
+   * wait for it. Concurrent callers share one refresh.
+   *
+   * @returns {Promise<object>} { rates, source, fetchedAt, stale? }
+   * @throws {ExchangeRateUnavailableError} when no rate newer than maxAgeHours exists
+   */
+  async getRates() {
+    const { current } = this.store.read();
+    const usable = current && !this.isTooOld(current);
+
+    if (usable && this.ageSeconds(current) < config.exchangeRate.ttl) {
+      return current;
+    }
+
+    const refreshing = this.startRefresh();
+    if (usable) {
+      return current;
+    }
+
+    const latest = (await refreshing) || this.store.read().current;
+
+    if (!latest) {
+      throw new ExchangeRateUnavailableError('No exchange rate has been fetched yet');
+    }
+
+    if (this.isTooOld(latest)) {
+      throw new ExchangeRateUnavailableError(
+        `Exchange rate from ${latest.fetchedAt} is older than ${config.exchangeRate.maxAgeHours}h`
+      );
+    }
+
+    return latest;
+  }
+
+  /**
+   * Get the KRW rate for a currency, honouring admin overrides
+   *
+   * @param {string} currency - Target currency (default: USD)
+   * @returns {Promise<object>} { rate, base, target, source, fetchedAt, overridden, stale }
+   *   `stale` is true for fixed (static) rates
+   */
+  async getQuote(currency = 'USD') {
+    const override = this.getOverride(currency);
+    if (override) {
+      return this.recordUsage({
+        rate: override.rate,
+        base: 'KRW',
+        target: currency,
+        source: 'override',
+        fetchedAt: override.setAt,
+        overridden: true,
+        stale: false,
+      });
+    }
+
+    const current = await this.getRates();
+    const rate = current.rates[currency];
+
+    if (!rate) {
+      throw new ExchangeRateUnavailableError(`No exchange rate available for ${currency}`);
+    }
+
+    return this.recordUsage({
+      rate,
+      base: 'KRW',
+      target: currency,
+      source: current.source,
+      fetchedAt: current.fetchedAt,
+      overridden: false,
+      stale: Boolean(current.stale),
+    });
+  }
+
+  /**
+   * Add the rate a quote used to history
+   * One entry per rate and currency, not per quote: quotes keep using the
+   * same rate until the next refresh or override.
+   *
+   * @param {object} quote - See getQuote()
+   * @returns {object} quote
+   */
+  recordUsage(quote) {
+    const key = `${quote.source}:${quote.fetchedAt}:${quote.rate}`;
+    if (this.lastUsed.get(quote.target) === key) {
+      return quote;
+    }
+
+    try {
+      this.store.update((data) => {
+        this.appendHistory(data, {
+          source: quote.source,
+          used: true,
+          rates: { [quote.target]: quote.rate },
+          fetchedAt: quote.fetchedAt,
+          ...(quote.stale && { stale: true }),
+        });
+      });
+      this.lastUsed.set(quote.target, key);
+    } catch (error) {
+      // History only; the quote stands (JsonStore logged the failure)
+    }
+    return quote;
+  }
+
+  /**
+   * Shortcut for getQuote(currency).rate
+   * @param {string} currency
+   * @returns {Promise<number>} 1 KRW in the target currency
+   */
+  async getRate(currency = 'USD') {
+    const quote = await this.getQuote(currency);
+    return quote.rate;
+  }
+
+  /**
+   * Get the active override for a currency (expired overrides are ignored)
+   * @param {string} currency
+   * @returns {object|null}
+   */
+  getOverride(currency = 'USD') {
+    const override = this.store.read().overrides[currency];
+    if (!override) return null;
+
+    if (override.expiresAt && new Date(override.expiresAt) <= new Date()) {
+      return null;
+    }
+
+    return override;
+  }
+
+  /**
+   * Pin the rate for a currency, bypassing providers and staleness checks
+   *
+   * @param {string} currency
+   * @param {number} rate - 1 KRW in the target currency
+   * @param {object} options
+   * @param {string} options.reason - Free text shown in history
+   * @param {string} options.expiresAt - ISO timestamp, optional
+   * @returns {object} stored override
+   */
+  setOverride(currency, rate, { reason, expiresAt } = {}) {
+    if (!(rate > 0)) {
+      throw new AppError('Override rate must be a positive number', 400, 'INVALID_RATE');
+    }
+
+    const override = {
+      rate,
+      reason: reason || null,
+      setAt: new Date().toISOString(),
+      expiresAt: expiresAt || null,
+    };
+
+    this.store.update((data) => {
+      data.overrides[currency] = override;
+      this.appendHistory(data, { source: 'override', rates: { [currency]: rate }, reason: override.reason });
+    });
+
+    logger.warn(`Exchange rate override set: 1 KRW = ${rate} ${currency}`, { reason });
+    return override;
+  }
+
+  /**
+   * Remove the override for a currency
+   * @param {string} currency
+   * @returns {boolean} true if an override was removed
+   */
+  clearOverride(currency = 'USD') {
+    return this.store.update((data) => {
+      if (!data.overrides[currency]) return false;
+      delete data.overrides[currency];
+      logger.info(`Exchange rate override cleared for ${currency}`);
+      return true;
+    });
+  }
+
+  /**
+   * Get the most recent history entries (newest first)
+   * @param {number} limit
+   * @returns {Array<object>}
+   */
+  getHistory(limit = 50) {
+    return this.store.read().history.slice(-limit).reverse();
+  }
+
+  /**
+   * Synchronous snapshot for health checks
+   * @returns {object}
+   */
+  getStatus() {
+    const { current, overrides } = this.store.read();
+    return {
+      rate: current ? current.rates.USD : null,
+      source: current ? current.source : null,
+      lastUpdated: current ? current.fetchedAt : null,
+      stale: !current || Boolean(current.stale) || this.isTooOld(current),
+      overrides,
+    };
+  }
+
+  pickSupported(rates) {
+    return config.currency.supported.reduce((picked, currency) => {
+      if (rates[currency]) picked[currency] = rates[currency];
+      return picked;
+    }, {});
+  }
+
+  ageSeconds(entry) {
+    return (Date.now() - new Date(entry.fetchedAt).getTime()) / 1000;
+  }
+
+  isTooOld(entry) {
+    return this.ageSeconds(entry) > config.exchangeRate.maxAgeHours * 3600;
+  }
+
+  appendHistory(data, entry) {
+    data.history.push({ at: new Date().toISOString(), ...entry });
+    if (data.history.length > config.exchangeRate.historyLimit) {
+      data.history.splice(0, data.history.length - config.exchangeRate.historyLimit);
+    }
+  }
+}
+
+module.exports = new ExchangeRateService();
@@ -0,0 +1,298 @@
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const config = require('../config');
+const JsonStore = require('../utils/jsonStore');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const bunjangService = require('./bunjangService');
+const orderLedgerService = require('./orderLedgerService');
+const shopifyAdmin = require('./shopifyAdminService');
+const alertService = require('./alertService');
+
+// Bunjang order statuses, grouped by what they mean for the Shopify order
+const SHIPPED_STATUSES = ['SHIPPING', 'SHIPPED', 'IN_TRANSIT', 'DELIVERING'];
+const DELIVERED_STATUSES = ['DELIVERED', 'DELIVERY_COMPLETED', 'PURCHASE_CONFIRMED', 'COMPLETED'];
+const CANCELLED_STATUSES = ['CANCELLED', 'CANCEL_COMPLETED', 'REFUNDED'];
+
+// Korean carriers used by Bunjang sellers -> Shopify tracking company and tracking page
+const CARRIERS = {
+  cj: { company: 'CJ Logistics', url: 'https://trace.cjlogistics.com/next/tracking.html?wblNo={number}' },
+  'cj대한통운': { company: 'CJ Logistics', url: 'https://trace.cjlogistics.com/next/tracking.html?wblNo={number}' },
+  '대한통운': { company: 'CJ Logistics', url: 'https://trace.cjlogistics.com/next/tracking.html?wblNo={number}' },
+  epost: { company: 'Korea Post', url: 'https://service.epost.go.kr/trace.RetrieveDomRigiTraceList.comm?sid1={number}' },
+  '우체국택배': { company: 'Korea Post', url: 'https://service.epost.go.kr/trace.RetrieveDomRigiTraceList.comm?sid1={number}' },
+  hanjin: { company: 'Hanjin', url: 'https://www.hanjin.com/kor/CMS/DeliveryMgr/WaybillResult.do?mCode=MN038&schLang=KR&wblnumText2={number}' },
+  '한진택배': { company: 'Hanjin', url: 'https://www.hanjin.com/kor/CMS/DeliveryMgr/WaybillResult.do?mCode=MN038&schLang=KR&wblnumText2={number}' },
+  lotte: { company: 'Lotte Global Logistics', url: 'https://www.lotteglogis.com/home/reservation/tracking/linkView?InvNo={number}' },
+  '롯데택배': { company: 'Lotte Global Logistics', url: 'https://www.lotteglogis.com/home/reservation/tracking/linkView?InvNo={number}' },
+  logen: { company: 'Logen', url: 'https://www.ilogen.com/web/personal/trace/{number}' },
+  '로젠택배': { company: 'Logen', url: 'https://www.ilogen.com/web/personal/trace/{number}' },
+};
+
+/**
+ * Reads Bunjang shipping back into Shopify
+ *
+ * Polls every purchased (or shipped) ledger entry on Bunjang. When the
+ * seller ships, the Shopify line item is fulfilled with the carrier and
+ * tracking number, so Shopify sends its usual shipping emails; later
+ * tracking changes update the fulfillment, and deliveries close the entry.
+ *
+ * Ledger: purchased -> shipped -> delivered
+ */
+class FulfillmentSyncService {
+  constructor() {
+    this.store = new JsonStore('fulfillment-reports.json', { reports: [] });
+    this.running = null;
+    this.timer = null;
+
+    logger.info('Fulfillment sync service initialized');
+  }
+
+  /**
+   * Start the background poller (no-op when config.fulfillment.pollIntervalMinutes is 0)
+   */
+  start() {
+    if (this.timer || !config.fulfillment.pollIntervalMinutes) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.run().catch((error) => logger.error(`Fulfillment sync run failed: ${error.message}`));
+    }, config.fulfillment.pollIntervalMinutes * 60 * 1000);
+    this.timer.unref();
+
+    logger.info(`Fulfillment sync scheduled every ${config.fulfillment.pollIntervalMinutes} minute(s)`);
+  }
+
+  /**
+   * Stop the background poller
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Check every open purchase once
+   * A run already in progress is shared instead of starting a second one.
+   *
+   * @param {object} options
+   * @param {number} options.concurrency - Override config.fulfillment.concurrency
+   * @returns {Promise<object>} run report
+   */
+  async run({ concurrency = config.fulfillment.concurrency } = {}) {
+    if (this.running) {
+      return this.running;
+    }
+
+    this.running = this.execute(concurrency).finally(() => {
+      this.running = null;
+    });
+
+    return this.running;
+  }
+
+  async execute(concurrency) {
+    const startedAt = new Date();
+    // Dry-run purchases were never placed, so Bunjang has nothing to report
+    const entries = orderLedgerService
+      .list({ status: ['purchased', 'shipped'], limit: Infinity })
+      .filter((entry) => entry.bunjangOrderId && !entry.dryRun);
+
+    logger.info(`Fulfillment sync started for ${entries.length} open purchase(s), concurrency ${concurrency}`);
+
+    const results = await mapWithConcurrency(entries, concurrency, async (entry) => {
+      try {
+        return await this.syncEntry(entry);
+      } catch (error) {
+        logger.error(`Fulfillment sync failed for ${entry.id}: ${error.message}`);
+        return { id: entry.id, action: 'error', error: error.message };
+      }
+    });
+
+    const finishedAt = new Date();
+    const count = (action) => results.filter((r) => r.actions && r.actions.includes(action)).length;
+
+    const report = {
+      id: uuidv4(),
+      startedAt: startedAt.toISOString(),
+      finishedAt: finishedAt.toISOString(),
+      durationMs: finishedAt - startedAt,
+      concurrency,
+      checked: results.length,
+      shipped: count('shipped'),
+      trackingUpdated: count('tracking_updated'),
+      delivered: count('delivered'),
+      cancelledOnBunjang: count('cancelled_on_bunjang'),
+      errors: results.filter((r) => r.action === 'error').length,
+      changes: results.filter((r) => r.action === 'error' || (r.actions && r.actions.length)),
+    };
+
+    this.store.update((data) => {
+      data.reports.push(report);
+      if (data.reports.length > config.fulfillment.reportLimit) {
+        data.reports.splice(0, data.reports.length - config.fulfillment.reportLimit);
+      }
+    });
+
+    logger.info('Fulfillment sync finished', {
+      checked: report.checked,
+      shipped: report.shipped,
+      trackingUpdated: report.trackingUpdated,
+      delivered: report.delivered,
+      errors: report.errors,
+      durationMs: report.durationMs,
+    });
+
+    return report;
+  }
+
+  /**
+   * Bring one ledger entry in line with its Bunjang order
+   *
+   * @param {object} entry - Ledger entry (purchased or shipped)
+   * @returns {Promise<object>} { id, bunjangStatus, actions }
+   */
+  async syncEntry(entry) {
+    const order = await bunjangService.getOrder(entry.bunjangOrderId);
+    const actions = [];
+    const previousStatus = entry.bunjangStatus;
+
+    if (order.status !== previousStatus) {
+      orderLedgerService.annotate(entry.id, { bunjangStatus: order.status });
+    }
+
+    if (CANCELLED_STATUSES.includes(order.status)) {
+      // The seller (or Bunjang) cancelled after we paid: the customer needs a refund
+      if (previousStatus !== order.status) {
+        await alertService.notify(
+          `fulfillment:cancelled:${entry.id}`,
+          `Bunjang order ${entry.bunjangOrderId} (Shopify ${entry.shopifyOrderName || entry.shopifyOrderId}) was cancelled on Bunjang; refund the customer`,
+          { entryId: entry.id, bunjangStatus: order.status }
+        );
+        actions.push('cancelled_on_bunjang');
+      }
+      return { id: entry.id, bunjangStatus: order.status, actions };
+    }
+
+    const delivered = DELIVERED_STATUSES.includes(order.status);
+    const shipped = delivered || SHIPPED_STATUSES.includes(order.status) || Boolean(order.trackingNumber);
+
+    if (!shipped) {
+      return { id: entry.id, bunjangStatus: order.status, actions };
+    }
+
+    const tracking = this.trackingInfo(order);
+    let current = entry;
+
+    if (current.status === 'purchased') {
+      const fulfillment = await this.fulfill(current, tracking);
+      current = orderLedgerService.transition(entry.id, 'shipped', {
+        tracking,
+        fulfillmentId: fulfillment ? String(fulfillment.id) : null,
+        shippedAt: order.shippedAt || new Date().toISOString(),
+      }, tracking.number ? `${tracking.company || 'Carrier'} ${tracking.number}` : undefined);
+      actions.push('shipped');
+    } else if (tracking.number && tracking.number !== current.tracking?.number) {
+      if (current.fulfillmentId) {
+        await shopifyAdmin.updateFulfillmentTracking(current.fulfillmentId, tracking, {
+          notify: config.fulfillment.notifyCustomer,
+        });
+      }
+      current = orderLedgerService.annotate(entry.id, { tracking });
+      logger.info(`Tracking for ${entry.id} updated to ${tracking.company || 'carrier'} ${tracking.number}`);
+      actions.push('tracking_updated');
+    }
+
+    if (delivered && current.status === 'shipped') {
+      if (current.fulfillmentId) {
+        await this.markDelivered(current);
+      }
+      orderLedgerService.transition(entry.id, 'delivered', {
+        deliveredAt: order.deliveredAt || new Date().toISOString(),
+      });
+      actions.push('delivered');
+    }
+
+    return { id: entry.id, bunjangStatus: order.status, actions };
+  }
+
+  /**
+   * Map a Bunjang carrier name to Shopify tracking info
+   * @param {object} order - From bunjangService.getOrder
+   * @returns {object} { company, number, url }
+   */
+  trackingInfo(order) {
+    const key = (order.carrier || '').toLowerCase().replace(/\s+/g, '');
+    const carrier = CARRIERS[key];
+    const number = order.trackingNumber || null;
+
+    return {
+      company: carrier ? carrier.company : order.carrier || null,
+      number,
+      url: carrier && number ? carrier.url.replace('{number}', encodeURIComponent(number)) : null,
+    };
+  }
+
+  /**
+   * Create the Shopify fulfillment for a ledger entry's line item
+   *
+   * @param {object} entry - Ledger entry
+   * @param {object} tracking - { company, number, url }
+   * @returns {Promise<object|null>} fulfillment, or null when nothing is left to fulfill
+   */
+  async fulfill(entry, tracking) {
+    const fulfillmentOrders = await shopifyAdmin.getFulfillmentOrders(entry.shopifyOrderId);
+
+    for (const fulfillmentOrder of fulfillmentOrders) {
+      if (!['open', 'in_progress', 'scheduled'].includes(fulfillmentOrder.status)) {
+        continue;
+      }
+
+      const lineItem = fulfillmentOrder.line_items.find(
+        (item) => String(item.line_item_id) === entry.shopifyLineItemId && item.fulfillable_quantity > 0
+      );
+      if (!lineItem) {
+        continue;
+      }
+
+      const fulfillment = await shopifyAdmin.createFulfillment(
+        [{ fulfillmentOrderId: fulfillmentOrder.id, lineItems: [{ id: lineItem.id, quantity: lineItem.fulfillable_quantity }] }],
+        tracking,
+        { notify: config.fulfillment.notifyCustomer }
+      );
+
+      logger.info(`Fulfilled line item ${entry.shopifyLineItemId} of Shopify order ${entry.shopifyOrderId} (fulfillment ${fulfillment.id})`);
+      return fulfillment;
+    }
+
+    // Fulfilled by hand in the Shopify admin; only the ledger needs to catch up
+    logger.warn(`Line item ${entry.shopifyLineItemId} of Shopify order ${entry.shopifyOrderId} has nothing left to fulfill`);
+    return null;
+  }
+
+  /**
+   * Post a `delivered` event on the Shopify fulfillment
+   * A failure is only logged: the delivery is recorded in the ledger either way.
+   * @param {object} entry - Ledger entry with fulfillmentId
+   */
+  async markDelivered(entry) {
+    try {
+      await shopifyAdmin.createFulfillmentEvent(entry.shopifyOrderId, entry.fulfillmentId, 'delivered');
+    } catch (error) {
+      logger.error(`Failed to mark fulfillment ${entry.fulfillmentId} delivered: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the most recent run reports (newest first)
+   * @param {number} limit
+   * @returns {Array<object>}
+   */
+  getReports(limit = 10) {
+    return this.store.read().reports.slice(-limit).reverse();
+  }
+}
+
+module.exports = new FulfillmentSyncService();
@@ -0,0 +1,356 @@
+const logger = require('../utils/logger');
+const config = require('../config');
+const JsonStore = require('../utils/jsonStore');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const bunjangService = require('./bunjangService');
+const complianceService = require('./complianceService');
+const exchangeRateService = require('./exchangeRateService');
+const shopifyAdmin = require('./shopifyAdminService');
+
+const SKU_PREFIX = 'BUNJANG-';
+const METAFIELD_NAMESPACE = 'bunjang';
+
+/**
+ * Imports Bunjang listings into Shopify as real products
+ *
+ * Each listing becomes a single-variant product with SKU `BUNJANG-<pid>`
+ * (the format the orders/paid webhook expects) and a `bunjang.pid`
+ * metafield. The pid -> Shopify IDs mapping is kept in imports.json so
+ * re-imports update the existing product instead of creating a duplicate.
+ */
+class ImportService {
+  constructor() {
+    this.store = new JsonStore('imports.json', {
+      products: {}, // pid -> { productId, variantId, inventoryItemId, priceKRW, ... }
+      queries: {}, // name -> { params, savedAt, lastRunAt }
+    });
+
+    logger.info('Import service initialized');
+  }
+
+  /**
+   * Build the SKU for a Bunjang pid
+   * @param {string|number} pid
+   * @returns {string}
+   */
+  skuFor(pid) {
+    return `${SKU_PREFIX}${pid}`;
+  }
+
+  /**
+   * Extract the Bunjang pid from a SKU
+   * @param {string} sku
+   * @returns {string|null}
+   */
+  pidFromSku(sku) {
+    if (!sku || !sku.startsWith(SKU_PREFIX)) return null;
+    return sku.slice(SKU_PREFIX.length) || null;
+  }
+
+  /**
+   * Get the stored import record for a pid
+   * @param {string|number} pid
+   * @returns {object|undefined}
+   */
+  getImport(pid) {
+    return this.store.read().products[String(pid)];
+  }
+
+  /**
+   * List all imported products
+   * @returns {Array<object>} import records including pid
+   */
+  listImports() {
+    const { products } = this.store.read();
+    return Object.keys(products).map((pid) => ({ pid, ...products[pid] }));
+  }
+
+  /**
+   * Find the import record for a Shopify product ID
+   * @param {string|number} productId
+   * @returns {object|undefined} import record including pid
+   */
+  findByShopifyProduct(productId) {
+    return this.listImports().find((record) => String(record.productId) === String(productId));
+  }
+
+  /**
+   * Merge fields into a pid's import record
+   * @param {string|number} pid
+   * @param {object} fields
+   * @returns {object} updated record
+   */
+  updateImport(pid, fields) {
+    return this.store.update((data) => {
+      data.products[String(pid)] = {
+        ...data.products[String(pid)],
+        ...fields,
+        updatedAt: new Date().toISOString(),
+      };
+      return data.products[String(pid)];
+    });
+  }
+
+  /**
+   * Import (create or update) a single Bunjang listing
+   *
+   * @param {string|number} pid - Bunjang product ID
+   * @returns {Promise<object>} { pid, action: 'created'|'updated'|'skipped', productId, reason? }
+   */
+  async importProduct(pid) {
+    const response = await bunjangService.getProduct(pid, { skipCache: true });
+    const bunjangProduct = response.data || response;
+
+    if (bunjangProduct.saleStatus && bunjangProduct.saleStatus !== 'SELLING') {
+      logger.info(`Skipping import of ${pid}: sale status ${bunjangProduct.saleStatus}`);
+      return { pid: String(pid), action: 'skipped', reason: `saleStatus ${bunjangProduct.saleStatus}` };
+    }
+
+    // Hidden and checkout-blocked items would only ever be refunded
+    const verdict = complianceService.screen(bunjangProduct, 'import');
+    if (verdict.action === 'hide' || verdict.action === 'block') {
+      const reason = verdict.rules.map((rule) => rule.reason).join('; ');
+      logger.info(`Skipping import of ${pid}: restricted (${reason})`);
+      return { pid: String(pid), action: 'skipped', reason: `restricted: ${reason}` };
+    }
+
+    const currency = config.currency.default;
+    const exchangeRate = await exchangeRateService.getQuote(currency);
+    const product = bunjangService.transformToShopifyFormat(bunjangProduct, exchangeRate.rate, currency);
+
+    const existing = await this.findExisting(pid);
+    const imageKey = `${product.imageUrlTemplate}#${product.imageCount}`;
+
+    let shopifyProduct;
+    let action;
+
+    if (existing) {
+      const fields = this.buildProductPayload(product);
+      fields.variants = [{ id: existing.variantId, ...fields.variants[0] }];
+      delete fields.status;
+      if (existing.imageKey === imageKey) {
+        delete fields.images;
+      }
+
+      shopifyProduct = await shopifyAdmin.updateProduct(existing.productId, fields);
+      action = 'updated';
+    } else {
+      shopifyProduct = await shopifyAdmin.createProduct(this.buildProductPayload(product));
+      action = 'created';
+    }
+
+    const variant = shopifyProduct.variants[0];
+
+    await shopifyAdmin.setProductMetafield(shopifyProduct.id, {
+      namespace: METAFIELD_NAMESPACE,
+      key: 'pid',
+      value: String(pid),
+      type: 'single_line_text_field',
+    });
+    await shopifyAdmin.setInventoryLevel(variant.inventory_item_id, 1);
+
+    this.updateImport(pid, {
+      productId: shopifyProduct.id,
+      variantId: variant.id,
+      inventoryItemId: variant.inventory_item_id,
+      sku: this.skuFor(pid),
+      priceKRW: product.priceKRW,
+      shippingFeeKRW: product.shippingFeeKRW,
+      price: product.price,
+      currency,
+      imageKey,
+      status: 'active',
+      ...(action === 'created' && { importedAt: new Date().toISOString() }),
+    });
+
+    logger.info(`Bunjang product ${pid} ${action} as Shopify product ${shopifyProduct.id}`);
+    return { pid: String(pid), action, productId: shopifyProduct.id };
+  }
+
+  /**
+   * Update the Shopify price of an imported product from fresh Bunjang data
+   *
+   * @param {string|number} pid
+   * @param {object} bunjangProduct - Raw Bunjang product
+   * @returns {Promise<object>} { pid, previousPriceKRW, priceKRW, price, currency }
+   */
+  async repriceProduct(pid, bunjangProduct) {
+    const record = this.getImport(pid);
+    if (!record) {
+      throw new Error(`Bunjang product ${pid} has not been imported`);
+    }
+
+    const currency = record.currency || config.currency.default;
+    const exchangeRate = await exchangeRateService.getQuote(currency);
+    const product = bunjangService.transformToShopifyFormat(bunjangProduct, exchangeRate.rate, currency);
+
+    await shopifyAdmin.updateVariant(record.variantId, { price: String(product.price) });
+
+    this.updateImport(pid, {
+      priceKRW: product.priceKRW,
+      shippingFeeKRW: product.shippingFeeKRW,
+      price: product.price,
+      currency,
+    });
+
+    logger.info(`Repriced Bunjang product ${pid}: ${record.priceKRW} -> ${product.priceKRW} KRW (${product.price} ${currency})`);
+    return {
+      pid: String(pid),
+      previousPriceKRW: record.priceKRW,
+      priceKRW: product.priceKRW,
+      price: product.price,
+      currency,
+    };
+  }
+
+  /**
+   * Find the Shopify product for a pid (local mapping first, then SKU lookup)
+   * A product deleted in Shopify (products/delete webhook) is gone for good,
+   * so it is imported again as a new product.
+   *
+   * @param {string|number} pid
+   * @returns {Promise<object|null>} { productId, variantId, inventoryItemId, imageKey? }
+   */
+  async findExisting(pid) {
+    const record = this.getImport(pid);
+    if (record && record.status === 'deleted') {
+      logger.info(`Shopify product ${record.productId} for ${pid} was deleted, creating a new one`);
+      return null;
+    }
+    if (record && record.productId) {
+      return record;
+    }
+
+    const found = await shopifyAdmin.findVariantBySku(this.skuFor(pid));
+    if (found) {
+      logger.info(`Found existing Shopify product ${found.productId} for ${pid} by SKU`);
+    }
+    return found;
+  }
+
+  /**
+   * Build the Shopify REST product payload
+   * @param {object} product - Output of bunjangService.transformToShopifyFormat
+   * @returns {object}
+   */
+  buildProductPayload(product) {
+    return {
+      title: product.title,
+      body_html: toHtml(product.description),
+      vendor: config.import.vendor,
+      status: config.import.productStatus,
+      tags: ['bunjang', `bunjang-category-${product.categoryId}`].join(', '),
+      images: product.images.map((src) => ({ src })),
+      variants: [
+        {
+          sku: this.skuFor(product.id),
+          price: String(product.price),
+          inventory_management: 'shopify',
+          inventory_policy: 'deny',
+          requires_shipping: true,
+        },
+      ],
+    };
+  }
+
+  /**
+   * Import every listing returned by a getProducts query
+   *
+   * @param {string|object} query - Saved query name or getProducts params
+   * @returns {Promise<object>} { query, total, created, updated, skipped, failed, results }
+   */
+  async importQuery(query) {
+    let params = query;
+
+    if (typeof query === 'string') {
+      const saved = this.store.read().queries[query];
+      if (!saved) {
+        throw new Error(`Saved import query not found: ${query}`);
+      }
+      params = saved.params;
+    }
+
+    const data = await bunjangService.getProducts(params);
+    const pids = (data.data || []).map((product) => product.pid);
+
+    logger.info(`Importing ${pids.length} Bunjang product(s) from query`, { params });
+
+    const results = await mapWithConcurrency(pids, config.import.concurrency, async (pid) => {
+      try {
+        return await this.importProduct(pid);
+      } catch (error) {
+        logger.error(`Failed to import Bunjang product ${pid}: ${error.message}`);
+        return { pid: String(pid), action: 'failed', error: error.message };
+      }
+    });
+
+    if (typeof query === 'string') {
+      this.store.update((store) => {
+        store.queries[query].lastRunAt = new Date().toISOString();
+      });
+    }
+
+    const count = (action) => results.filter((r) => r.action === action).length;
+
+    return {
+      query: typeof query === 'string' ? query : params,
+      total: results.length,
+      created: count('created'),
+      updated: count('updated'),
+      skipped: count('skipped'),
+      failed: count('failed'),
+      results,
+    };
+  }
+
+  /**
+   * Save a named getProducts query for later imports
+   * @param {string} name
+   * @param {object} params - getProducts params (q, categoryId, brandId, ...)
+   * @returns {object} saved query
+   */
+  saveQuery(name, params) {
+    return this.store.update((data) => {
+      data.queries[name] = {
+        params,
+        savedAt: new Date().toISOString(),
+        lastRunAt: data.queries[name]?.lastRunAt || null,
+      };
+      return data.queries[name];
+    });
+  }
+
+  /**
+   * Delete a saved query
+   * @param {string} name
+   * @returns {boolean} true if it existed
+   */
+  deleteQuery(name) {
+    return this.store.update((data) => {
+      if (!data.queries[name]) return false;
+      delete data.queries[name];
+      return true;
+    });
+  }
+
+  /**
+   * List saved queries
+   * @returns {object} name -> query
+   */
+  listQueries() {
+    return this.store.read().queries;
+  }
+}
+
+/**
+ * Convert a plain-text Bunjang description to simple HTML
+ */
+function toHtml(text) {
+  return String(text || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/\r?\n/g, '<br>');
+}
+
+module.exports = new ImportService();
@@ -0,0 +1,211 @@
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const config = require('../config');
+const JsonStore = require('../utils/jsonStore');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const bunjangService = require('./bunjangService');
+const importService = require('./importService');
+const shopifyAdmin = require('./shopifyAdminService');
+
+/**
+ * Keeps imported Shopify products in line with their Bunjang listings
+ *
+ * Bunjang items are one-of-a-kind: once a listing is SOLD, RESERVED or
+ * deleted, the Shopify product is taken off sale (inventory set to 0 or
+ * product archived, see config.sync.soldOutAction). Listings that come
+ * back to SELLING are restocked (and unarchived), and KRW price changes
+ * are re-priced. Only products deleted in Shopify are no longer checked.
+ */
+class InventorySyncService {
+  constructor() {
+    this.store = new JsonStore('sync-reports.json', { reports: [] });
+    this.running = null;
+    this.timer = null;
+
+    logger.info('Inventory sync service initialized');
+  }
+
+  /**
+   * Start the background sync (no-op when config.sync.intervalMinutes is 0)
+   */
+  start() {
+    if (this.timer || !config.sync.intervalMinutes) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.run().catch((error) => logger.error(`Inventory sync run failed: ${error.message}`));
+    }, config.sync.intervalMinutes * 60 * 1000);
+    this.timer.unref();
+
+    logger.info(`Inventory sync scheduled every ${config.sync.intervalMinutes} minute(s)`);
+  }
+
+  /**
+   * Stop the background sync
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Run one sync pass over all imported products
+   * A run already in progress is shared instead of starting a second one.
+   *
+   * @param {object} options
+   * @param {number} options.concurrency - Override config.sync.concurrency
+   * @returns {Promise<object>} run report
+   */
+  async run({ concurrency = config.sync.concurrency } = {}) {
+    if (this.running) {
+      return this.running;
+    }
+
+    this.running = this.execute(concurrency).finally(() => {
+      this.running = null;
+    });
+
+    return this.running;
+  }
+
+  async execute(concurrency) {
+    const startedAt = new Date();
+    const records = importService
+      .listImports()
+      .filter((record) => record.status !== 'deleted');
+
+    logger.info(`Inventory sync started for ${records.length} product(s), concurrency ${concurrency}`);
+
+    const results = await mapWithConcurrency(records, concurrency, async (record) => {
+      try {
+        return await this.syncProduct(record);
+      } catch (error) {
+        logger.error(`Inventory sync failed for ${record.pid}: ${error.message}`);
+        return { pid: record.pid, action: 'error', error: error.message };
+      }
+    });
+
+    const finishedAt = new Date();
+    const count = (action) => results.filter((r) => r.action === action).length;
+
+    const report = {
+      id: uuidv4(),
+      startedAt: startedAt.toISOString(),
+      finishedAt: finishedAt.toISOString(),
+      durationMs: finishedAt - startedAt,
+      concurrency,
+      checked: results.length,
+      unchanged: count('unchanged'),
+      soldOut: count('sold_out'),
+      restocked: count('restocked'),
+      repriced: results.filter((r) => r.repriced).length,
+      errors: count('error'),
+      changes: results.filter((r) => r.action !== 'unchanged' || r.repriced),
+    };
+
+    this.store.update((data) => {
+      data.reports.push(report);
+      if (data.reports.length > config.sync.reportLimit) {
+        data.reports.splice(0, data.reports.length - config.sync.reportLimit);
+      }
+    });
+
+    logger.info('Inventory sync finished', {
+      checked: report.checked,
+      soldOut: report.soldOut,
+      restocked: report.restocked,
+      repriced: report.repriced,
+      errors: report.errors,
+      durationMs: report.durationMs,
+    });
+
+    return report;
+  }
+
+  /**
+   * Re-check one imported product against Bunjang
+   *
+   * @param {object} record - Import record (from importService.listImports)
+   * @returns {Promise<object>} { pid, action, reason?, repriced? }
+   */
+  async syncProduct(record) {
+    const { pid } = record;
+    const offSale = ['sold_out', 'archived'].includes(record.status);
+    let bunjangProduct = null;
+
+    try {
+      const response = await bunjangService.getProduct(pid, { skipCache: true });
+      bunjangProduct = response.data || response;
+    } catch (error) {
+      if (error.response && error.response.status === 404) {
+        return offSale
+          ? { pid, action: 'unchanged' }
+          : this.takeOffSale(record, 'DELETED');
+      }
+      throw error;
+    }
+
+    const available = bunjangProduct.saleStatus === 'SELLING' && bunjangProduct.quantity !== 0;
+
+    if (!available) {
+      if (offSale) {
+        return { pid, action: 'unchanged' };
+      }
+      const reason = bunjangProduct.saleStatus === 'SELLING' ? 'OUT_OF_STOCK' : bunjangProduct.saleStatus;
+      return this.takeOffSale(record, reason);
+    }
+
+    const result = { pid, action: 'unchanged' };
+
+    if (offSale) {
+      if (record.status === 'archived') {
+        await shopifyAdmin.updateProduct(record.productId, { status: config.import.productStatus });
+      }
+      await shopifyAdmin.setInventoryLevel(record.inventoryItemId, 1);
+      importService.updateImport(pid, { status: 'active', unavailableReason: null });
+      logger.info(`Bunjang product ${pid} is selling again, restocked`);
+      result.action = 'restocked';
+    }
+
+    if (Number(bunjangProduct.price) !== Number(record.priceKRW)) {
+      result.repriced = await importService.repriceProduct(pid, bunjangProduct);
+    }
+
+    return result;
+  }
+
+  /**
+   * Take an imported product off sale according to config.sync.soldOutAction
+   * @param {object} record - Import record
+   * @param {string} reason - SOLD, RESERVED, DELETED, OUT_OF_STOCK, ...
+   * @returns {Promise<object>}
+   */
+  async takeOffSale(record, reason) {
+    const { pid } = record;
+
+    if (config.sync.soldOutAction === 'archive') {
+      await shopifyAdmin.updateProduct(record.productId, { status: 'archived' });
+      importService.updateImport(pid, { status: 'archived', unavailableReason: reason });
+    } else {
+      await shopifyAdmin.setInventoryLevel(record.inventoryItemId, 0);
+      importService.updateImport(pid, { status: 'sold_out', unavailableReason: reason });
+    }
+
+    logger.info(`Bunjang product ${pid} is ${reason}, ${config.sync.soldOutAction} applied`);
+    return { pid, action: 'sold_out', reason };
+  }
+
+  /**
+   * Get the most recent run reports (newest first)
+   * @param {number} limit
+   * @returns {Array<object>}
+   */
+  getReports(limit = 10) {
+    return this.store.read().reports.slice(-limit).reverse();
+  }
+}
+
+module.exports = new InventorySyncService();
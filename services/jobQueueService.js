@@ -0,0 +1,367 @@
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const config = require('../config');
+const JsonStore = require('../utils/jsonStore');
+
+/**
+ * Durable local job queue
+ *
+ * Jobs are persisted in jobs.json before the caller gets an answer, so a
+ * crash or restart never loses work. Workers poll for due jobs and retry
+ * failures with exponential backoff; a job that runs out of attempts (or
+ * throws an error with `retryable === false`) is moved to `dead`.
+ *
+ * Job status: pending -> running -> completed
+ *                          |
+ *                          +-> pending (retry, after backoff)
+ *                          +-> dead
+ */
+class JobQueueService {
+  constructor() {
+    this.store = new JsonStore('jobs.json', {
+      jobs: {},
+      webhooks: {}, // X-Shopify-Webhook-Id -> { topic, jobId, receivedAt }
+    });
+    this.handlers = new Map();
+    this.active = 0;
+    this.timer = null;
+
+    logger.info('Job queue service initialized');
+  }
+
+  /**
+   * Register the handler for a job type
+   * @param {string} type - e.g. 'orders/paid'
+   * @param {function(object, object): Promise<*>} handler - Receives (payload, job)
+   */
+  registerHandler(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Add a job to the queue
+   *
+   * @param {string} type
+   * @param {object} payload - JSON-serializable job data
+   * @param {object} options
+   * @param {string} options.dedupeKey - Jobs with the same key are only queued once
+   * @param {number} options.maxAttempts - Override config.queue.maxAttempts
+   * @param {number} options.delayMs - Delay before the first attempt
+   * @returns {{ job: object, duplicate: boolean }}
+   */
+  enqueue(type, payload, { dedupeKey, maxAttempts = config.queue.maxAttempts, delayMs = 0 } = {}) {
+    return this.store.update((data) => {
+      if (dedupeKey) {
+        const existing = Object.values(data.jobs).find((job) => job.dedupeKey === dedupeKey);
+        if (existing) {
+          logger.info(`Job ${existing.id} already queued for ${dedupeKey}, skipping duplicate`);
+          return { job: existing, duplicate: true };
+        }
+      }
+
+      const now = new Date();
+      const job = {
+        id: uuidv4(),
+        type,
+        payload,
+        dedupeKey: dedupeKey || null,
+        status: 'pending',
+        attempts: 0,
+        maxAttempts,
+        runAt: new Date(now.getTime() + delayMs).toISOString(),
+        lastError: null,
+        createdAt: now.toISOString(),
+        updatedAt: now.toISOString(),
+        completedAt: null,
+      };
+
+      data.jobs[job.id] = job;
+      logger.info(`Job ${job.id} queued (${type})`);
+      return { job, duplicate: false };
+    });
+  }
+
+  /**
+   * Record a webhook delivery ID
+   * @param {string} webhookId - X-Shopify-Webhook-Id
+   * @param {object} info - { topic, jobId }
+   * @returns {boolean} false if this webhook ID was already recorded
+   */
+  recordWebhook(webhookId, info = {}) {
+    if (!webhookId) {
+      return true;
+    }
+
+    return this.store.update((data) => {
+      if (data.webhooks[webhookId]) {
+        return false;
+      }
+
+      data.webhooks[webhookId] = { ...info, receivedAt: new Date().toISOString() };
+
+      const ids = Object.keys(data.webhooks);
+      if (ids.length > config.queue.historyLimit) {
+        ids.slice(0, ids.length - config.queue.historyLimit).forEach((id) => delete data.webhooks[id]);
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Check whether a webhook delivery ID was already recorded
+   * @param {string} webhookId
+   * @returns {boolean}
+   */
+  hasWebhook(webhookId) {
+    return Boolean(this.getWebhook(webhookId));
+  }
+
+  /**
+   * Get the record of a webhook delivery ID
+   * @param {string} webhookId
+   * @returns {object|null} { topic, jobId, receivedAt }
+   */
+  getWebhook(webhookId) {
+    return (webhookId && this.store.read().webhooks[webhookId]) || null;
+  }
+
+  /**
+   * Start polling for due jobs
+   * Jobs left `running` by a previous process are returned to `pending`.
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.store.update((data) => {
+      Object.values(data.jobs)
+        .filter((job) => job.status === 'running')
+        .forEach((job) => {
+          logger.warn(`Job ${job.id} was interrupted, re-queueing`);
+          job.status = 'pending';
+          job.updatedAt = new Date().toISOString();
+        });
+    });
+
+    this.timer = setInterval(() => this.poll(), config.queue.pollIntervalMs);
+    this.timer.unref();
+
+    logger.info(`Job queue workers started (concurrency ${config.queue.concurrency})`);
+  }
+
+  /**
+   * Stop polling (running jobs finish normally)
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Pick up due jobs while worker slots are free
+   */
+  poll() {
+    while (this.active < config.queue.concurrency) {
+      let job;
+      try {
+        job = this.claimNext();
+      } catch (error) {
+        logger.error(`Job queue poll failed: ${error.message}`);
+        return;
+      }
+      if (!job) return;
+
+      this.active++;
+      this.execute(job)
+        .catch((error) => logger.error(`Failed to record the outcome of job ${job.id}: ${error.message}`))
+        .finally(() => {
+          this.active--;
+        });
+    }
+  }
+
+  /**
+   * Mark the oldest due pending job as running
+   * @returns {object|null} claimed job
+   */
+  claimNext() {
+    const now = new Date().toISOString();
+    const nextDue = (data) => Object.values(data.jobs)
+      .filter((candidate) => candidate.status === 'pending' && candidate.runAt <= now)
+      .filter((candidate) => this.handlers.has(candidate.type))
+      .sort((a, b) => (a.runAt < b.runAt ? -1 : 1))[0];
+
+    // Most polls find nothing: only rewrite jobs.json when there is a job to claim
+    if (!nextDue(this.store.read())) {
+      return null;
+    }
+
+    return this.store.update((data) => {
+      const job = nextDue(data);
+      return job ? this.claim(job, now) : null;
+    });
+  }
+
+  claim(job, now) {
+    job.status = 'running';
+    job.attempts++;
+    job.updatedAt = now;
+    return { ...job };
+  }
+
+  /**
+   * Run one job right away, in the caller's request
+   * For runtimes without background workers (serverless functions, see
+   * config.queue.runInline). Only a pending job is run, whatever its runAt;
+   * a job running elsewhere, completed or dead is returned as is.
+   *
+   * @param {string} jobId
+   * @returns {Promise<object|null>} job after the attempt, or null if not found
+   */
+  async runNow(jobId) {
+    const job = this.store.update((data) => {
+      const candidate = data.jobs[jobId];
+      if (!candidate || candidate.status !== 'pending' || !this.handlers.has(candidate.type)) {
+        return null;
+      }
+      return this.claim(candidate, new Date().toISOString());
+    });
+
+    if (job) {
+      await this.execute(job);
+    }
+    return this.get(jobId) || null;
+  }
+
+  /**
+   * Run a claimed job and record the outcome
+   * @param {object} job
+   */
+  async execute(job) {
+    const handler = this.handlers.get(job.type);
+    logger.info(`Job ${job.id} (${job.type}) attempt ${job.attempts}/${job.maxAttempts}`);
+
+    try {
+      const result = await handler(job.payload, job);
+
+      this.store.update((data) => {
+        Object.assign(data.jobs[job.id], {
+          status: 'completed',
+          result: result === undefined ? null : result,
+          lastError: null,
+          updatedAt: new Date().toISOString(),
+          completedAt: new Date().toISOString(),
+        });
+        this.prune(data);
+      });
+
+      logger.info(`Job ${job.id} completed`);
+    } catch (error) {
+      const exhausted = job.attempts >= job.maxAttempts || error.retryable === false;
+      const delay = this.backoff(job.attempts);
+
+      this.store.update((data) => {
+        Object.assign(data.jobs[job.id], {
+          status: exhausted ? 'dead' : 'pending',
+          runAt: exhausted ? data.jobs[job.id].runAt : new Date(Date.now() + delay).toISOString(),
+          lastError: { message: error.message, code: error.code || null, at: new Date().toISOString() },
+          updatedAt: new Date().toISOString(),
+        });
+      });
+
+      if (exhausted) {
+        logger.error(`Job ${job.id} (${job.type}) moved to dead-letter after ${job.attempts} attempt(s): ${error.message}`);
+      } else {
+        logger.warn(`Job ${job.id} failed (attempt ${job.attempts}), retrying in ${Math.round(delay / 1000)}s: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Exponential backoff delay for an attempt number
+   * @param {number} attempt - 1-based attempt that just failed
+   * @returns {number} delay in ms
+   */
+  backoff(attempt) {
+    return Math.min(config.queue.backoffBaseMs * Math.pow(2, attempt - 1), config.queue.backoffMaxMs);
+  }
+
+  /**
+   * Put a dead (or pending) job back in line for an immediate attempt
+   * @param {string} jobId
+   * @returns {object|null} updated job, or null if not found / not retryable
+   */
+  retry(jobId) {
+    return this.store.update((data) => {
+      const job = data.jobs[jobId];
+      if (!job || !['dead', 'pending'].includes(job.status)) {
+        return null;
+      }
+
+      Object.assign(job, {
+        status: 'pending',
+        maxAttempts: Math.max(job.maxAttempts, job.attempts + 1),
+        runAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+      });
+      logger.info(`Job ${jobId} re-queued manually`);
+      return job;
+    });
+  }
+
+  /**
+   * Get a job by ID
+   * @param {string} jobId
+   * @returns {object|undefined}
+   */
+  get(jobId) {
+    return this.store.read().jobs[jobId];
+  }
+
+  /**
+   * List jobs, newest first
+   * @param {object} filters - { status, type, limit }
+   * @returns {Array<object>}
+   */
+  list({ status, type, limit = 50 } = {}) {
+    return Object.values(this.store.read().jobs)
+      .filter((job) => !status || job.status === status)
+      .filter((job) => !type || job.type === type)
+      .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1))
+      .slice(0, limit);
+  }
+
+  /**
+   * Job counts by status
+   * @returns {object}
+   */
+  getStats() {
+    return Object.values(this.store.read().jobs).reduce(
+      (stats, job) => {
+        stats[job.status] = (stats[job.status] || 0) + 1;
+        return stats;
+      },
+      { pending: 0, running: 0, completed: 0, dead: 0 }
+    );
+  }
+
+  /**
+   * Drop the oldest completed jobs beyond config.queue.historyLimit
+   * Dedupe keys of dropped jobs are forgotten, so keep the limit generous.
+   */
+  prune(data) {
+    const completed = Object.values(data.jobs)
+      .filter((job) => job.status === 'completed')
+      .sort((a, b) => (a.completedAt < b.completedAt ? -1 : 1));
+
+    const excess = completed.length - config.queue.historyLimit;
+    if (excess > 0) {
+      completed.slice(0, excess).forEach((job) => delete data.jobs[job.id]);
+    }
+  }
+}
+
+module.exports = new JobQueueService();
@@ -0,0 +1,213 @@
+const fs = require('fs');
+const logger = require('../utils/logger');
+const config = require('../config');
+const { roundToCurrency } = require('../utils/currency');
+
+/**
+ * Landed-cost estimates: what a shopper pays in total once the parcel has
+ * cleared customs in their country (price + shipping + duty + VAT / GST)
+ *
+ * Everything comes from a local rates file (config.landedCost.ratesFile),
+ * so estimates need no network access:
+ * {
+ *   "categories": { "405": { "name": "Shoes", "hsCode": "6403" }, ... },  // longest categoryId prefix wins
+ *   "regions": { "EU": { ...country fields shared by member states } },
+ *   "countries": {
+ *     "GB": {
+ *       "currency": "GBP",                         // currency of the de-minimis thresholds
+ *       "dutyBase": "CIF",                         // CIF: duty on goods + shipping, FOB: goods only
+ *       "valuationFactor": 1,                      // share of the price that is taxable (Japan: 0.6)
+ *       "deMinimis": { "duty": 135, "tax": 0 },    // goods value up to which duty / tax is waived (0: never)
+ *       "dutyRates": { "default": 0.04, "6403": 0.08 },   // longest HS code prefix wins
+ *       "additionalDutyRate": 0,                   // extra tariff on every item
+ *       "tax": { "name": "VAT", "rate": 0.2 }      // charged on customs value + duty
+ *     },
+ *     "DE": { "region": "EU", "tax": { "name": "VAT", "rate": 0.19 } }
+ *   }
+ * }
+ * Duty rates are MFN rates: second-hand listings rarely come with the proof
+ * of Korean origin that free-trade agreements require.
+ */
+class LandedCostService {
+  constructor() {
+    this.ratesFile = config.landedCost.ratesFile;
+    this.tables = { categories: {}, regions: {}, countries: {} };
+
+    this.reload();
+
+    logger.info('Landed cost service initialized');
+  }
+
+  /**
+   * (Re)load the rates file
+   * Keeps the previous tables if the file is invalid
+   *
+   * @returns {number} number of countries
+   */
+  reload() {
+    try {
+      const raw = JSON.parse(fs.readFileSync(this.ratesFile, 'utf8'));
+      const tables = { categories: raw.categories || {}, regions: raw.regions || {}, countries: raw.countries || {} };
+
+      for (const code of Object.keys(tables.countries)) {
+        const entry = this.resolveCountry(tables, code);
+        if (!entry.currency || !entry.dutyRates || !entry.tax) {
+          throw new Error(`Country ${code} needs currency, dutyRates and tax (directly or through its region)`);
+        }
+      }
+
+      this.tables = tables;
+      logger.info(`Loaded landed cost rates for ${Object.keys(tables.countries).length} countries from ${this.ratesFile}`);
+    } catch (error) {
+      logger.error(`Failed to load landed cost rates, keeping previous tables: ${error.message}`);
+    }
+
+    return Object.keys(this.tables.countries).length;
+  }
+
+  /**
+   * Country entry merged over its region
+   * @returns {object|null}
+   */
+  resolveCountry(tables, country) {
+    const entry = tables.countries[String(country).toUpperCase()];
+    if (!entry) return null;
+
+    if (entry.region && !tables.regions[entry.region]) {
+      throw new Error(`Country ${country}: unknown region ${entry.region}`);
+    }
+    return { ...(entry.region ? tables.regions[entry.region] : {}), ...entry };
+  }
+
+  /**
+   * Currency the country's de-minimis thresholds are set in
+   * @param {string} country - ISO 3166-1 alpha-2
+   * @returns {string|null}
+   */
+  getThresholdCurrency(country) {
+    const entry = this.resolveCountry(this.tables, country);
+    return entry ? entry.currency : null;
+  }
+
+  /**
+   * HS code of a Bunjang category (longest categoryId prefix wins)
+   * @param {string} categoryId
+   * @returns {string|null}
+   */
+  resolveHsCode(categoryId) {
+    const id = categoryId != null ? String(categoryId) : '';
+    const prefix = Object.keys(this.tables.categories)
+      .filter((candidate) => id.startsWith(candidate))
+      .sort((a, b) => b.length - a.length)[0];
+
+    return prefix ? String(this.tables.categories[prefix].hsCode) : null;
+  }
+
+  /**
+   * Duty rate for an HS code (longest prefix in dutyRates, else "default")
+   */
+  dutyRate(entry, hsCode) {
+    const rates = entry.dutyRates;
+    const prefix = hsCode
+      ? Object.keys(rates)
+        .filter((candidate) => candidate !== 'default' && hsCode.startsWith(candidate))
+        .sort((a, b) => b.length - a.length)[0]
+      : null;
+
+    return Number(prefix ? rates[prefix] : rates.default) || 0;
+  }
+
+  /**
+   * Estimate duties and taxes for one item
+   *
+   * @param {object} item
+   * @param {number} item.price - Price in the presentment currency
+   * @param {number} item.shipping - International shipping in the presentment currency (default: 0)
+   * @param {string} item.categoryId - Bunjang categoryId (for the HS code)
+   * @param {object} options
+   * @param {string} options.country - Destination (ISO 3166-1 alpha-2)
+   * @param {string} options.currency - Presentment currency
+   * @param {number} options.exchangeRate - 1 KRW in the presentment currency
+   * @param {number|null} options.thresholdRate - 1 KRW in the threshold currency;
+   *   null when unknown (the de-minimis exemptions are then not applied)
+   * @returns {object} { country, available, currency, hsCode, goods, shipping, customsValue, dutyBase,
+   *   duty: { rate, amount, exempt }, tax: { name, rate, amount, exempt }, deMinimis, total, estimated }
+   */
+  estimate({ price, shipping = 0, categoryId }, { country, currency, exchangeRate, thresholdRate }) {
+    const entry = this.resolveCountry(this.tables, country);
+    if (!entry) {
+      return { country, available: false, reason: `No duty and tax data for ${country}`, currency, estimated: true };
+    }
+
+    const round = (amount) => roundToCurrency(amount, currency);
+    const factor = entry.valuationFactor || 1;
+    const goodsValue = price * factor;
+    const customsValue = goodsValue + (entry.dutyBase === 'FOB' ? 0 : shipping);
+
+    // De-minimis: compare the goods value in the threshold currency
+    const thresholdValue = thresholdRate ? roundToCurrency((goodsValue / exchangeRate) * thresholdRate, entry.currency) : null;
+    const waived = (threshold) => thresholdValue !== null && threshold > 0 && thresholdValue <= threshold;
+    const dutyExempt = waived(entry.deMinimis?.duty);
+    const taxExempt = waived(entry.deMinimis?.tax);
+
+    const hsCode = this.resolveHsCode(categoryId);
+    const dutyRate = this.dutyRate(entry, hsCode) + (Number(entry.additionalDutyRate) || 0);
+    const duty = dutyExempt ? 0 : round(customsValue * dutyRate);
+    const tax = taxExempt ? 0 : round((customsValue + duty) * entry.tax.rate);
+
+    return {
+      country,
+      available: true,
+      currency,
+      hsCode,
+      goods: price,
+      shipping,
+      customsValue: round(customsValue),
+      dutyBase: entry.dutyBase || 'CIF',
+      duty: { rate: Math.round(dutyRate * 10000) / 10000, amount: duty, exempt: dutyExempt },
+      tax: { name: entry.tax.name, rate: entry.tax.rate, amount: tax, exempt: taxExempt },
+      deMinimis: {
+        currency: entry.currency,
+        duty: entry.deMinimis?.duty ?? 0,
+        tax: entry.deMinimis?.tax ?? 0,
+        goodsValue: thresholdValue,
+      },
+      total: round(price + shipping + duty + tax),
+      estimated: true,
+    };
+  }
+
+  /**
+   * Estimate for a transformed product (see bunjangService.transformToShopifyFormat),
+   * shipped at its `internationalShipping` estimate when there is one
+   *
+   * @param {object} product
+   * @param {object} options - See estimate()
+   * @returns {object}
+   */
+  estimateProduct(product, options) {
+    const shipping = product.internationalShipping;
+    return this.estimate(
+      {
+        price: product.price,
+        shipping: shipping && shipping.available ? shipping.total : 0,
+        categoryId: product.categoryId,
+      },
+      options
+    );
+  }
+
+  /**
+   * Rate tables (for /admin)
+   * @returns {object}
+   */
+  getStatus() {
+    return {
+      enabled: config.landedCost.enabled,
+      ratesFile: this.ratesFile,
+      ...this.tables,
+    };
+  }
+}
+
+module.exports = new LandedCostService();
@@ -0,0 +1,266 @@
+const logger = require('../utils/logger');
+const JsonStore = require('../utils/jsonStore');
+const { AppError, InvalidTransitionError } = require('../utils/errors');
+
+/**
+ * Allowed status transitions
+ *
+ *   received -> purchasing -> purchased -> shipped -> delivered
+ *                    |            |
+ *                    v            v
+ *                  failed     cancelled
+ *
+ * Failed entries can be retried (failed -> purchasing) or cancelled.
+ * Entries our point balance cannot cover wait in `held` until it is
+ * topped up (held -> purchasing) or the order is cancelled.
+ */
+const TRANSITIONS = {
+  received: ['purchasing', 'held', 'cancelled'],
+  purchasing: ['purchased', 'failed', 'held'],
+  held: ['purchasing', 'cancelled'],
+  purchased: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: [],
+  failed: ['purchasing', 'held', 'cancelled'],
+  cancelled: [],
+};
+
+const STATUSES = Object.keys(TRANSITIONS);
+
+/**
+ * Detached copy of an entry, so callers can compare what they read
+ * against later changes without the store mutating it under them
+ * @param {object|undefined} entry
+ * @returns {object|undefined}
+ */
+function copy(entry) {
+  return entry && JSON.parse(JSON.stringify(entry));
+}
+
+/**
+ * Persistent ledger linking Shopify line items to Bunjang purchases
+ *
+ * One entry per Shopify line item, keyed `<shopifyOrderId>:<lineItemId>`.
+ * Every status change is appended to the entry's history with a timestamp,
+ * so ops can always answer "what happened to order X".
+ *
+ * Every method returns copies of the stored entries; change them through
+ * transition() or annotate().
+ */
+class OrderLedgerService {
+  constructor() {
+    this.store = new JsonStore('order-ledger.json', { entries: {} });
+
+    logger.info('Order ledger service initialized');
+  }
+
+  /**
+   * Build the ledger ID for a line item
+   * @param {string|number} shopifyOrderId
+   * @param {string|number} shopifyLineItemId
+   * @returns {string}
+   */
+  entryId(shopifyOrderId, shopifyLineItemId) {
+    return `${shopifyOrderId}:${shopifyLineItemId}`;
+  }
+
+  /**
+   * Record a paid line item (status: received)
+   * Returns the existing entry if the line item is already in the ledger.
+   *
+   * @param {object} entry
+   * @param {string|number} entry.shopifyOrderId
+   * @param {string} entry.shopifyOrderName - e.g. #1001
+   * @param {string|number} entry.shopifyLineItemId
+   * @param {string} entry.sku
+   * @param {string} entry.title - Line item title
+   * @param {number} entry.quantity - Line item quantity
+   * @param {string} entry.pid - Bunjang product ID
+   * @param {number} entry.exchangeRate - KRW rate in effect when the order was paid
+   * @param {string} entry.currency - Rate currency
+   * @returns {object} ledger entry
+   */
+  record(entry) {
+    const id = this.entryId(entry.shopifyOrderId, entry.shopifyLineItemId);
+
+    return this.store.update((data) => {
+      if (data.entries[id]) {
+        return copy(data.entries[id]);
+      }
+
+      const now = new Date().toISOString();
+      data.entries[id] = {
+        id,
+        shopifyOrderId: String(entry.shopifyOrderId),
+        shopifyOrderName: entry.shopifyOrderName || null,
+        shopifyLineItemId: String(entry.shopifyLineItemId),
+        sku: entry.sku || null,
+        title: entry.title || null,
+        quantity: entry.quantity || 1,
+        pid: entry.pid ? String(entry.pid) : null,
+        bunjangOrderId: null,
+        costKRW: null,
+        shippingFeeKRW: null,
+        exchangeRate: entry.exchangeRate ?? null,
+        currency: entry.currency || null,
+        dryRun: false,
+        status: 'received',
+        error: null,
+        createdAt: now,
+        updatedAt: now,
+        history: [{ status: 'received', at: now }],
+      };
+
+      logger.info(`Ledger entry ${id} recorded for Bunjang product ${entry.pid}`);
+      return copy(data.entries[id]);
+    });
+  }
+
+  /**
+   * Move an entry to a new status, merging extra fields
+   *
+   * @param {string} id - Ledger entry ID
+   * @param {string} status - Target status
+   * @param {object} fields - Fields to store (bunjangOrderId, costKRW, error, ...)
+   * @param {string} note - Optional note kept in history
+   * @returns {object} updated entry
+   * @throws {InvalidTransitionError} when the state machine forbids the change
+   */
+  transition(id, status, fields = {}, note) {
+    if (!STATUSES.includes(status)) {
+      throw new AppError(`Unknown ledger status: ${status}`, 400, 'INVALID_STATUS');
+    }
+
+    return this.store.update((data) => {
+      const entry = data.entries[id];
+      if (!entry) {
+        throw new AppError(`Ledger entry not found: ${id}`, 404, 'LEDGER_ENTRY_NOT_FOUND');
+      }
+
+      if (!TRANSITIONS[entry.status].includes(status)) {
+        throw new InvalidTransitionError(id, entry.status, status);
+      }
+
+      const now = new Date().toISOString();
+      Object.assign(entry, fields, { status, updatedAt: now });
+      entry.history.push({ status, at: now, ...(note && { note }) });
+
+      logger.info(`Ledger entry ${id}: ${entry.history[entry.history.length - 2].status} -> ${status}`);
+      return copy(entry);
+    });
+  }
+
+  /**
+   * Merge fields into an entry without changing its status
+   * @param {string} id
+   * @param {object} fields
+   * @returns {object} updated entry
+   */
+  annotate(id, fields) {
+    return this.store.update((data) => {
+      const entry = data.entries[id];
+      if (!entry) {
+        throw new AppError(`Ledger entry not found: ${id}`, 404, 'LEDGER_ENTRY_NOT_FOUND');
+      }
+      Object.assign(entry, fields, { updatedAt: new Date().toISOString() });
+      return copy(entry);
+    });
+  }
+
+  /**
+   * Check whether an entry may move to a status
+   * @param {object} entry
+   * @param {string} status
+   * @returns {boolean}
+   */
+  canTransition(entry, status) {
+    return TRANSITIONS[entry.status].includes(status);
+  }
+
+  /**
+   * Get an entry by ID
+   * @param {string} id
+   * @returns {object|undefined}
+   */
+  get(id) {
+    return copy(this.store.read().entries[id]);
+  }
+
+  /**
+   * All entries for a Shopify order
+   * @param {string|number} shopifyOrderId
+   * @returns {Array<object>}
+   */
+  findByShopifyOrder(shopifyOrderId) {
+    return this.list({ shopifyOrderId, limit: Infinity });
+  }
+
+  /**
+   * Entry for a Bunjang order ID
+   * @param {string} bunjangOrderId
+   * @returns {object|undefined}
+   */
+  findByBunjangOrder(bunjangOrderId) {
+    return this.list({ limit: Infinity }).find((entry) => entry.bunjangOrderId === String(bunjangOrderId));
+  }
+
+  /**
+   * Entries for a Bunjang product ID
+   * @param {string|number} pid
+   * @returns {Array<object>}
+   */
+  findByPid(pid) {
+    return this.list({ pid, limit: Infinity });
+  }
+
+  /**
+   * List entries, newest first
+   *
+   * @param {object} filters
+   * @param {string|Array<string>} filters.status - One or more statuses
+   * @param {string|number} filters.shopifyOrderId
+   * @param {string|number} filters.pid
+   * @param {string} filters.since - ISO timestamp (createdAt >= since)
+   * @param {number} filters.limit - Max entries (default: 50)
+   * @returns {Array<object>}
+   */
+  list({ status, shopifyOrderId, pid, since, limit = 50 } = {}) {
+    const statuses = status ? [].concat(status) : null;
+
+    return Object.values(this.store.read().entries)
+      .filter((entry) => !statuses || statuses.includes(entry.status))
+      .filter((entry) => shopifyOrderId === undefined || entry.shopifyOrderId === String(shopifyOrderId))
+      .filter((entry) => pid === undefined || entry.pid === String(pid))
+      .filter((entry) => !since || entry.createdAt >= since)
+      .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1))
+      .slice(0, limit)
+      .map(copy);
+  }
+
+  /**
+   * Summarize everything the ledger knows about a Shopify order
+   * @param {string|number} shopifyOrderId
+   * @returns {object|null} { shopifyOrderId, statusCounts, totalCostKRW, entries }
+   */
+  getOrderSummary(shopifyOrderId) {
+    const entries = this.findByShopifyOrder(shopifyOrderId);
+    if (!entries.length) {
+      return null;
+    }
+
+    const statusCounts = entries.reduce((counts, entry) => {
+      counts[entry.status] = (counts[entry.status] || 0) + 1;
+      return counts;
+    }, {});
+
+    return {
+      shopifyOrderId: String(shopifyOrderId),
+      shopifyOrderName: entries[0].shopifyOrderName,
+      statusCounts,
+      totalCostKRW: entries.reduce((sum, entry) => sum + (entry.costKRW || 0), 0),
+      entries,
+    };
+  }
+}
+
+module.exports = new OrderLedgerService();
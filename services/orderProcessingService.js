@@ -0,0 +1,691 @@
+const logger = require('../utils/logger');
+const config = require('../config');
+const {
+  AppError,
+  BunjangOrderError,
+  InsufficientPointsError,
+  InvalidTransitionError,
+  OrderOutcomeUnknownError,
+} = require('../utils/errors');
+const alertService = require('./alertService');
+const bunjangService = require('./bunjangService');
+const exchangeRateService = require('./exchangeRateService');
+const importService = require('./importService');
+const orderLedgerService = require('./orderLedgerService');
+const pointBalanceService = require('./pointBalanceService');
+const shopifyAdmin = require('./shopifyAdminService');
+
+/**
+ * Auto-purchase of paid Shopify orders on Bunjang, and undoing them
+ *
+ * Runs as the `orders/paid` job handler. Safe to run more than once for the
+ * same order: the ledger skips line items that were already purchased (or
+ * failed for good), so queue retries only redo what can still succeed.
+ *
+ * Line items that fail for good (sold out, price changed, restricted by an
+ * export-compliance policy) are refunded on Shopify; Shopify cancellations
+ * and refunds cancel the Bunjang order.
+ * Line items our point balance cannot cover are held until it is topped up
+ * (see pointBalanceService).
+ */
+class OrderProcessingService {
+  /**
+   * Purchase every Bunjang line item of a paid Shopify order
+   *
+   * @param {object} order - Shopify order (orders/paid webhook payload)
+   * @returns {Promise<object>} { shopifyOrderId, purchases }
+   * @throws {BunjangOrderError} when a line item failed with a retryable error
+   */
+  async processPaidOrder(order) {
+    logger.info(`Processing paid Shopify order ${order.id}`);
+
+    // Record the rate in effect when the order was purchased
+    let rateQuote = null;
+    try {
+      rateQuote = await exchangeRateService.getQuote('USD');
+    } catch (error) {
+      logger.warn(`Exchange rate unavailable, continuing without it: ${error.message}`);
+    }
+
+    const purchases = [];
+    let retryableFailures = 0;
+
+    for (const item of order.line_items || []) {
+      // SKU should contain Bunjang item_id (e.g., "BUNJANG-370326148")
+      const pid = importService.pidFromSku(item.sku);
+
+      if (!pid) {
+        logger.warn(`No Bunjang pid found for SKU: ${item.sku}`);
+        continue;
+      }
+
+      const result = await this.purchaseLineItem(order, item, pid, rateQuote);
+      if (result.retryable) {
+        retryableFailures++;
+      }
+      purchases.push(result);
+    }
+
+    if (retryableFailures > 0) {
+      throw new BunjangOrderError(`${retryableFailures} line item(s) of order ${order.id} failed with a retryable error`);
+    }
+
+    return { shopifyOrderId: order.id, purchases };
+  }
+
+  /**
+   * Purchase a single line item, tracking every step in the ledger
+   * @returns {Promise<object>} { lineItemId, pid, status, bunjangOrderId?, error?, retryable? }
+   */
+  async purchaseLineItem(order, item, pid, rateQuote) {
+    // Ledger entry first, so the purchase is tracked whatever happens next
+    let entry = orderLedgerService.record({
+      shopifyOrderId: order.id,
+      shopifyOrderName: order.name,
+      shopifyLineItemId: item.id,
+      sku: item.sku,
+      title: item.title,
+      quantity: item.quantity,
+      pid,
+      exchangeRate: rateQuote?.rate,
+      currency: rateQuote?.target,
+    });
+
+    let checkedBunjang = false;
+    if (entry.status === 'purchasing') {
+      if (!this.isStalePurchase(entry)) {
+        // Another attempt is (or was just) placing the order; come back once it settled
+        logger.info(`Line item ${item.id} is being purchased since ${entry.updatedAt}, retrying later`);
+        return { lineItemId: item.id, pid, status: 'purchasing', error: 'Purchase in progress', retryable: true };
+      }
+
+      const recovered = await this.recoverStalePurchase(order, item, entry);
+      if (recovered) {
+        return recovered;
+      }
+      entry = orderLedgerService.get(entry.id);
+      checkedBunjang = true;
+    }
+
+    const permanentlyFailed = entry.status === 'failed' && entry.error && entry.error.retryable === false;
+
+    if (permanentlyFailed && entry.error.needsReview) {
+      // The item may have been bought: neither buy again nor refund until ops check Bunjang
+      logger.warn(`Line item ${item.id} (Bunjang ${pid}) is waiting for manual review, skipping`);
+      return { lineItemId: item.id, pid, status: 'failed', error: entry.error.message, retryable: false, needsReview: true };
+    }
+
+    if (permanentlyFailed) {
+      // A previous attempt failed for good; make sure the customer got their refund
+      return this.refundFailedLineItem(order, item, entry);
+    }
+
+    if (!orderLedgerService.canTransition(entry, 'purchasing')) {
+      logger.info(`Line item ${item.id} already ${entry.status}, skipping`);
+      return { lineItemId: item.id, pid, status: entry.status, bunjangOrderId: entry.bunjangOrderId };
+    }
+
+    if (entry.status === 'failed' && !checkedBunjang) {
+      // An earlier attempt may have gone through on Bunjang's side
+      const reconciled = await this.reconcileFailedEntry(entry, item);
+      if (reconciled) {
+        return reconciled;
+      }
+    }
+
+    const importRecord = importService.getImport(pid);
+    const held = await this.guardBalance(entry, item, importRecord);
+    if (held) {
+      return held;
+    }
+
+    try {
+      logger.info(`Purchasing Bunjang item ${pid} for line item ${item.id}`);
+      orderLedgerService.transition(entry.id, 'purchasing');
+
+      // Place the order on Bunjang (dry-run outside production, see BUNJANG_ORDER_DRY_RUN)
+      const bunjangOrder = await bunjangService.createOrder({
+        pid,
+        expectedPriceKRW: importRecord?.priceKRW,
+        reference: entry.id,
+      });
+
+      orderLedgerService.transition(entry.id, 'purchased', {
+        bunjangOrderId: bunjangOrder.orderId,
+        costKRW: bunjangOrder.priceKRW,
+        shippingFeeKRW: bunjangOrder.shippingFeeKRW,
+        dryRun: bunjangOrder.dryRun,
+        error: null,
+      });
+    } catch (error) {
+      if (error instanceof InsufficientPointsError) {
+        // Balance changed since the check (or the guard is off): wait for a top-up
+        const requiredKRW = importRecord?.priceKRW != null
+          ? Number(importRecord.priceKRW) + (Number(importRecord.shippingFeeKRW) || 0)
+          : null;
+        return this.holdEntry(orderLedgerService.get(entry.id), item, requiredKRW, null, error.message);
+      }
+
+      const retryable = error.retryable !== false;
+      logger.error(`Failed to purchase Bunjang item ${pid}: ${error.message}`);
+
+      const failed = orderLedgerService.transition(entry.id, 'failed', {
+        error: {
+          code: error.code || null,
+          message: error.message,
+          retryable,
+          ...(error.needsReview && { needsReview: true }),
+          at: new Date().toISOString(),
+        },
+      });
+
+      if (error.needsReview) {
+        this.alertOutcomeUnknown(order, entry);
+        return { lineItemId: item.id, pid, status: 'failed', error: error.message, retryable: false, needsReview: true };
+      }
+
+      if (!retryable) {
+        return this.refundFailedLineItem(order, item, failed);
+      }
+      return { lineItemId: item.id, pid, status: 'failed', error: error.message, retryable };
+    }
+
+    // Save Bunjang order_id to Shopify metafield (dry-run ids are never saved).
+    // The ledger already holds the purchase, so a failure here is only logged.
+    const purchased = orderLedgerService.get(entry.id);
+    if (!purchased.dryRun) {
+      await this.saveOrderMetafield(order.id, purchased);
+    }
+
+    return { lineItemId: item.id, pid, status: 'purchased', bunjangOrderId: purchased.bunjangOrderId };
+  }
+
+  /**
+   * Look for a Bunjang order placed by an earlier attempt before buying again
+   *
+   * @param {object} entry - Failed ledger entry
+   * @param {object} item - Shopify line item
+   * @returns {Promise<object|null>} purchase result when the order exists or the lookup failed,
+   *   null to go ahead with the purchase
+   */
+  async reconcileFailedEntry(entry, item) {
+    if (config.bunjang.orderDryRun) {
+      return null;
+    }
+
+    let existing;
+    try {
+      existing = await bunjangService.findOrderByProduct(entry.pid, { since: entry.createdAt });
+    } catch (error) {
+      // Buying blind could buy the item twice; let the queue try again later
+      logger.error(`Could not check Bunjang orders for ${entry.pid} before retrying ${entry.id}: ${error.message}`);
+      return { lineItemId: item.id, pid: entry.pid, status: 'failed', error: error.message, retryable: true };
+    }
+
+    if (!existing) {
+      return null;
+    }
+
+    logger.warn(`Bunjang order ${existing.orderId} already exists for ${entry.pid}, recording it for ${entry.id}`);
+    orderLedgerService.transition(entry.id, 'purchasing', {}, 'Reconciling with Bunjang');
+    orderLedgerService.transition(
+      entry.id,
+      'purchased',
+      {
+        bunjangOrderId: existing.orderId,
+        costKRW: existing.priceKRW,
+        shippingFeeKRW: existing.shippingFeeKRW,
+        dryRun: false,
+        error: null,
+        lastError: entry.error || entry.lastError || null,
+      },
+      'Found existing Bunjang order'
+    );
+
+    const purchased = orderLedgerService.get(entry.id);
+    await this.saveOrderMetafield(entry.shopifyOrderId, purchased);
+    return { lineItemId: item.id, pid: entry.pid, status: 'purchased', bunjangOrderId: existing.orderId, reconciled: true };
+  }
+
+  /**
+   * Whether a `purchasing` entry has been stuck for longer than a purchase can take
+   * @param {object} entry - Ledger entry
+   * @returns {boolean}
+   */
+  isStalePurchase(entry) {
+    const age = Date.now() - Date.parse(entry.updatedAt);
+    return age > config.bunjang.purchaseTimeoutMinutes * 60 * 1000;
+  }
+
+  /**
+   * Settle a purchase that was interrupted before its outcome was recorded
+   *
+   * An order found on Bunjang is recorded as purchased. Otherwise the entry
+   * is marked failed (retryable) so the caller can buy again; when Bunjang
+   * cannot be asked the entry goes to manual review instead.
+   *
+   * @param {object} order - Shopify order
+   * @param {object} item - Shopify line item
+   * @param {object} entry - Stale `purchasing` ledger entry
+   * @returns {Promise<object|null>} purchase result, or null to go ahead with the purchase
+   */
+  async recoverStalePurchase(order, item, entry) {
+    logger.warn(`Ledger entry ${entry.id} has been purchasing since ${entry.updatedAt}, checking Bunjang`);
+
+    let existing = null;
+    if (!config.bunjang.orderDryRun) {
+      try {
+        existing = await bunjangService.findOrderByProduct(entry.pid, { since: entry.createdAt });
+      } catch (error) {
+        const unknown = new OrderOutcomeUnknownError(
+          entry.pid,
+          `the purchase was interrupted and Bunjang orders could not be checked (${error.message})`
+        );
+        orderLedgerService.transition(entry.id, 'failed', {
+          error: {
+            code: unknown.code,
+            message: unknown.message,
+            retryable: false,
+            needsReview: true,
+            at: new Date().toISOString(),
+          },
+        }, 'Purchase interrupted');
+        this.alertOutcomeUnknown(order, entry);
+        return { lineItemId: item.id, pid: entry.pid, status: 'failed', error: unknown.message, retryable: false, needsReview: true };
+      }
+    }
+
+    if (existing) {
+      logger.warn(`Bunjang order ${existing.orderId} already exists for ${entry.pid}, recording it for ${entry.id}`);
+      orderLedgerService.transition(
+        entry.id,
+        'purchased',
+        {
+          bunjangOrderId: existing.orderId,
+          costKRW: existing.priceKRW,
+          shippingFeeKRW: existing.shippingFeeKRW,
+          dryRun: false,
+          error: null,
+        },
+        'Found existing Bunjang order'
+      );
+
+      await this.saveOrderMetafield(entry.shopifyOrderId, orderLedgerService.get(entry.id));
+      return { lineItemId: item.id, pid: entry.pid, status: 'purchased', bunjangOrderId: existing.orderId, reconciled: true };
+    }
+
+    orderLedgerService.transition(entry.id, 'failed', {
+      error: {
+        code: 'PURCHASE_INTERRUPTED',
+        message: 'Purchase was interrupted before Bunjang answered and no Bunjang order was found',
+        retryable: true,
+        at: new Date().toISOString(),
+      },
+    }, 'Purchase interrupted');
+    return null;
+  }
+
+  /**
+   * Ask ops to check Bunjang for an order that may or may not have been placed
+   * @param {object} order - Shopify order
+   * @param {object} entry - Ledger entry
+   */
+  alertOutcomeUnknown(order, entry) {
+    alertService.notify(
+      `orders:outcome-unknown:${entry.id}`,
+      `Bunjang order for ${entry.pid} (Shopify order ${order.name || order.id}) may or may not have been placed. `
+        + 'Check Bunjang, then retry or cancel the ledger entry.',
+      { entryId: entry.id, pid: entry.pid }
+    );
+  }
+
+  /**
+   * Hold a line item when the point balance cannot cover it
+   * Skipped when the guard is off, the price is unknown or the balance
+   * cannot be read (the purchase then fails on Bunjang's side if short).
+   *
+   * @returns {Promise<object|null>} hold result, or null to go ahead with the purchase
+   */
+  async guardBalance(entry, item, importRecord) {
+    if (!config.points.guardEnabled || importRecord?.priceKRW == null) {
+      return null;
+    }
+
+    const requiredKRW = Number(importRecord.priceKRW) + (Number(importRecord.shippingFeeKRW) || 0);
+
+    let funds;
+    try {
+      funds = await pointBalanceService.checkFunds(requiredKRW);
+    } catch (error) {
+      logger.warn(`Point balance unavailable, purchasing ${entry.pid} without the balance check: ${error.message}`);
+      return null;
+    }
+
+    if (funds.sufficient) {
+      return null;
+    }
+
+    return this.holdEntry(entry, item, requiredKRW, funds.balanceKRW);
+  }
+
+  /**
+   * Park a ledger entry in the "waiting for funds" hold queue and alert ops
+   *
+   * @param {object} entry - Ledger entry
+   * @param {object} item - Shopify line item
+   * @param {number|null} requiredKRW - Points the purchase needs
+   * @param {number|null} balanceKRW - Balance at the time of the check
+   * @param {string} reason - Optional reason (defaults to the shortfall)
+   * @returns {object} { lineItemId, pid, status: 'held', requiredKRW }
+   */
+  holdEntry(entry, item, requiredKRW, balanceKRW, reason) {
+    const heldReason = reason || `Point balance ${balanceKRW} KRW cannot cover ${requiredKRW} KRW`;
+    const fields = { requiredKRW, heldAt: new Date().toISOString(), heldReason };
+
+    if (entry.status === 'held') {
+      orderLedgerService.annotate(entry.id, fields);
+    } else {
+      orderLedgerService.transition(entry.id, 'held', fields, heldReason);
+    }
+
+    logger.warn(`Line item ${item.id} (Bunjang ${entry.pid}) held: ${heldReason}`);
+    alertService.notify(
+      'points:insufficient',
+      `Bunjang purchases are waiting for funds: ${heldReason}. Top up the point balance to resume them.`,
+      { entryId: entry.id, forecast: pointBalanceService.forecast() }
+    );
+
+    return { lineItemId: item.id, pid: entry.pid, status: 'held', requiredKRW };
+  }
+
+  /**
+   * Retry a held ledger entry (job handler for released entries)
+   *
+   * @param {string} entryId - Ledger entry ID
+   * @returns {Promise<object>} purchase result
+   * @throws {BunjangOrderError} when the purchase failed with a retryable error
+   */
+  async resumeHeldEntry(entryId) {
+    const entry = orderLedgerService.get(entryId);
+    if (!entry || entry.status !== 'held') {
+      logger.info(`Ledger entry ${entryId} is no longer held, nothing to resume`);
+      return { entryId, status: entry ? entry.status : null };
+    }
+
+    const { order, item, rateQuote } = this.fromEntry(entry);
+    const result = await this.purchaseLineItem(order, item, entry.pid, rateQuote);
+    if (result.retryable) {
+      throw new BunjangOrderError(`Held line item ${entryId} failed with a retryable error: ${result.error}`);
+    }
+    return result;
+  }
+
+  /**
+   * Try a failed purchase again (ops action)
+   * The previous error is kept as `lastError`; clearing it means a line
+   * item that failed for good is bought instead of refunded.
+   * A purchase stuck in `purchasing` past the timeout is settled first
+   * (see recoverStalePurchase).
+   *
+   * @param {string} entryId - Ledger entry ID
+   * @returns {Promise<object>} purchase result
+   * @throws {AppError} 404 when the entry does not exist, 409 when it has not failed
+   */
+  async retryFailedEntry(entryId) {
+    const entry = this.getEntry(entryId);
+    const stale = entry.status === 'purchasing' && this.isStalePurchase(entry);
+    if (entry.status !== 'failed' && !stale) {
+      throw new InvalidTransitionError(entryId, entry.status, 'purchasing');
+    }
+
+    if (entry.status === 'failed') {
+      orderLedgerService.annotate(entryId, { lastError: entry.error, error: null });
+    }
+    const { order, item, rateQuote } = this.fromEntry(entry);
+    return this.purchaseLineItem(order, item, entry.pid, rateQuote);
+  }
+
+  /**
+   * Cancel a ledger entry (ops action)
+   *
+   * @param {string} entryId - Ledger entry ID
+   * @param {object} options
+   * @param {boolean} options.refund - Also refund the line item on Shopify (failed entries only)
+   * @param {string} options.reason - Kept in the ledger history
+   * @returns {Promise<object>} cancel (or refund) result
+   * @throws {AppError} 404 when the entry does not exist
+   */
+  async cancelEntryById(entryId, { refund = false, reason = 'Cancelled by admin' } = {}) {
+    const entry = this.getEntry(entryId);
+
+    if (refund && entry.status === 'failed') {
+      const { order, item } = this.fromEntry(entry);
+      return this.refundFailedLineItem(order, item, entry);
+    }
+
+    return this.cancelEntry(entry, reason);
+  }
+
+  /**
+   * Get a ledger entry or throw a 404
+   * @param {string} entryId
+   * @returns {object}
+   */
+  getEntry(entryId) {
+    const entry = orderLedgerService.get(entryId);
+    if (!entry) {
+      throw new AppError(`Ledger entry not found: ${entryId}`, 404, 'LEDGER_ENTRY_NOT_FOUND');
+    }
+    return entry;
+  }
+
+  /**
+   * Rebuild the Shopify order / line item a ledger entry was recorded from
+   * @param {object} entry
+   * @returns {object} { order, item, rateQuote }
+   */
+  fromEntry(entry) {
+    return {
+      order: { id: entry.shopifyOrderId, name: entry.shopifyOrderName },
+      item: { id: entry.shopifyLineItemId, sku: entry.sku, title: entry.title, quantity: entry.quantity },
+      rateQuote: entry.exchangeRate != null ? { rate: entry.exchangeRate, target: entry.currency } : null,
+    };
+  }
+
+  /**
+   * Register job handlers owned by this service
+   */
+  registerJobHandlers() {
+    pointBalanceService.registerResumeHandler((payload) => this.resumeHeldEntry(payload.entryId));
+  }
+
+  /**
+   * Refund a line item whose Bunjang purchase failed for good
+   *
+   * The Shopify refund emails the customer (config.refunds.notifyCustomer)
+   * and the ledger entry is cancelled. A failed refund is reported as
+   * retryable so the queue tries again.
+   *
+   * @param {object} order - Shopify order
+   * @param {object} item - Shopify line item
+   * @param {object} entry - Failed ledger entry
+   * @returns {Promise<object>} { lineItemId, pid, status, error, retryable, refundId? }
+   */
+  async refundFailedLineItem(order, item, entry) {
+    const result = { lineItemId: item.id, pid: entry.pid, status: 'failed', error: entry.error?.message, retryable: false };
+
+    if (!config.refunds.autoRefund) {
+      logger.warn(`Line item ${item.id} of order ${order.id} needs a manual refund (auto-refund disabled)`);
+      return result;
+    }
+
+    try {
+      const refund = await shopifyAdmin.refundLineItems(
+        order.id,
+        [{ lineItemId: item.id, quantity: item.quantity }],
+        {
+          notify: config.refunds.notifyCustomer,
+          note: `${item.title || entry.sku} is no longer available from the seller and has been refunded.`,
+        }
+      );
+
+      orderLedgerService.transition(
+        entry.id,
+        'cancelled',
+        { refundId: String(refund.id), refundedAt: refund.created_at || new Date().toISOString(), autoRefunded: true },
+        `Refunded automatically: ${entry.error?.code || 'purchase failed'}`
+      );
+      logger.info(`Refunded line item ${item.id} of Shopify order ${order.id} (refund ${refund.id})`);
+
+      return { ...result, status: 'cancelled', refundId: String(refund.id) };
+    } catch (error) {
+      logger.error(`Failed to refund line item ${item.id} of Shopify order ${order.id}: ${error.message}`);
+      orderLedgerService.annotate(entry.id, {
+        refundError: { message: error.message, at: new Date().toISOString() },
+      });
+      return { ...result, retryable: true };
+    }
+  }
+
+  /**
+   * Cancel a ledger entry, including its Bunjang order once purchased
+   *
+   * @param {object} entry - Ledger entry
+   * @param {string} reason - Kept in the ledger history and sent to Bunjang
+   * @returns {Promise<object>} { id, outcome: 'cancelled'|'unchanged'|'needsAttention'|'retry', ... }
+   */
+  async cancelEntry(entry, reason) {
+    if (entry.status === 'cancelled') {
+      return { id: entry.id, outcome: 'unchanged' };
+    }
+
+    if (['received', 'held', 'failed'].includes(entry.status)) {
+      orderLedgerService.transition(entry.id, 'cancelled', {}, reason);
+      return { id: entry.id, outcome: 'cancelled' };
+    }
+
+    if (entry.status !== 'purchased') {
+      // purchasing: the outcome is not known yet; shipped/delivered: too late
+      return { id: entry.id, outcome: 'needsAttention', status: entry.status, bunjangOrderId: entry.bunjangOrderId };
+    }
+
+    try {
+      await bunjangService.cancelOrder(entry.bunjangOrderId, { reason });
+      orderLedgerService.transition(entry.id, 'cancelled', { bunjangCancelledAt: new Date().toISOString() }, reason);
+      return { id: entry.id, outcome: 'cancelled', bunjangOrderId: entry.bunjangOrderId };
+    } catch (error) {
+      logger.error(`Could not cancel Bunjang order ${entry.bunjangOrderId} for ${entry.id}: ${error.message}`);
+      orderLedgerService.annotate(entry.id, {
+        cancelError: { code: error.code || null, message: error.message, at: new Date().toISOString() },
+      });
+
+      return {
+        id: entry.id,
+        outcome: error.retryable === false ? 'needsAttention' : 'retry',
+        status: entry.status,
+        bunjangOrderId: entry.bunjangOrderId,
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * Cancel a set of ledger entries and summarize the outcome
+   * @throws {BunjangOrderError} when a Bunjang cancellation failed with a retryable error
+   */
+  async cancelEntries(entries, reason, label) {
+    const results = [];
+    for (const entry of entries) {
+      results.push(await this.cancelEntry(entry, reason));
+    }
+
+    const cancelled = results.filter((r) => r.outcome === 'cancelled').map((r) => r.id);
+    const needsAttention = results.filter((r) => r.outcome === 'needsAttention');
+    const retries = results.filter((r) => r.outcome === 'retry');
+
+    if (needsAttention.length) {
+      logger.warn(`${label}: ${needsAttention.length} Bunjang order(s) could not be cancelled`, { needsAttention });
+    }
+    if (retries.length) {
+      throw new BunjangOrderError(`${label}: ${retries.length} Bunjang cancellation(s) failed with a retryable error`, {
+        code: 'BUNJANG_CANCEL_FAILED',
+      });
+    }
+
+    return { cancelled, needsAttention };
+  }
+
+  /**
+   * Handle a cancelled Shopify order: cancel every line item, including
+   * the Bunjang orders already placed for it
+   *
+   * @param {object} order - Shopify order (orders/cancelled webhook payload)
+   * @returns {Promise<object>} { shopifyOrderId, cancelled, needsAttention }
+   * @throws {BunjangOrderError} when a Bunjang cancellation should be retried
+   */
+  async handleOrderCancelled(order) {
+    const entries = orderLedgerService.findByShopifyOrder(order.id);
+    const { cancelled, needsAttention } = await this.cancelEntries(
+      entries,
+      `Shopify order cancelled${order.cancel_reason ? ` (${order.cancel_reason})` : ''}`,
+      `Shopify order ${order.id}`
+    );
+
+    return { shopifyOrderId: order.id, cancelled, needsAttention };
+  }
+
+  /**
+   * Handle a Shopify refund: cancel the refunded line items (and their
+   * Bunjang orders) and record the refund in the ledger
+   *
+   * Refunds we issued ourselves (refundFailedLineItem) find their entries
+   * already cancelled and only get annotated.
+   *
+   * @param {object} refund - Shopify refund (refunds/create webhook payload)
+   * @returns {Promise<object>} { shopifyOrderId, refundedEntries, cancelled, needsAttention }
+   * @throws {BunjangOrderError} when a Bunjang cancellation should be retried
+   */
+  async handleRefund(refund) {
+    const entries = (refund.refund_line_items || [])
+      .map((refundLineItem) => orderLedgerService.get(orderLedgerService.entryId(refund.order_id, refundLineItem.line_item_id)))
+      .filter(Boolean);
+
+    entries
+      .filter((entry) => !entry.refundId)
+      .forEach((entry) => {
+        orderLedgerService.annotate(entry.id, { refundId: String(refund.id), refundedAt: refund.created_at });
+      });
+
+    const { cancelled, needsAttention } = await this.cancelEntries(
+      entries,
+      'Shopify line item refunded',
+      `Shopify refund ${refund.id}`
+    );
+
+    logger.info(`Shopify refund ${refund.id} recorded for ${entries.length} ledger entry(ies)`);
+    return { shopifyOrderId: refund.order_id, refundedEntries: entries.map((entry) => entry.id), cancelled, needsAttention };
+  }
+
+  /**
+   * Save Bunjang order_id to Shopify order metafield
+   * @param {string|number} shopifyOrderId
+   * @param {object} entry - Ledger entry
+   */
+  async saveOrderMetafield(shopifyOrderId, entry) {
+    try {
+      await shopifyAdmin.setOrderMetafield(shopifyOrderId, {
+        namespace: 'bunjang',
+        key: 'order_id',
+        value: entry.bunjangOrderId,
+        type: 'single_line_text_field',
+      });
+      orderLedgerService.annotate(entry.id, { metafieldSaved: true });
+      logger.info(`Saved Bunjang order ${entry.bunjangOrderId} to Shopify order ${shopifyOrderId}`);
+    } catch (error) {
+      orderLedgerService.annotate(entry.id, { metafieldSaved: false });
+      logger.error(`Failed to save Bunjang order metafield on Shopify order ${shopifyOrderId}: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new OrderProcessingService();
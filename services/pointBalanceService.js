@@ -0,0 +1,268 @@
+const logger = require('../utils/logger');
+const config = require('../config');
+const JsonStore = require('../utils/jsonStore');
+const bunjangService = require('./bunjangService');
+const importService = require('./importService');
+const orderLedgerService = require('./orderLedgerService');
+const jobQueueService = require('./jobQueueService');
+const alertService = require('./alertService');
+
+// Job type that retries a held ledger entry (handled by orderProcessingService)
+const RESUME_JOB_TYPE = 'purchases/resume';
+
+// Ledger statuses whose purchase has not been paid for yet
+const UNPAID_STATUSES = ['received', 'purchasing', 'held', 'failed'];
+
+/**
+ * Bunjang point wallet guard
+ *
+ * Purchases are paid from our Bunjang point balance. Before each purchase
+ * the balance is checked against the item price plus shipping; line items
+ * it cannot cover are parked in the ledger as `held` and ops are alerted.
+ * A background check releases held entries (oldest first) as soon as the
+ * balance covers them again.
+ */
+class PointBalanceService {
+  constructor() {
+    this.store = new JsonStore('points.json', { balanceKRW: null, checkedAt: null });
+    this.pending = null;
+    this.timer = null;
+
+    logger.info('Point balance service initialized');
+  }
+
+  /**
+   * Fetch the current balance from Bunjang
+   * Concurrent callers share one request.
+   *
+   * @returns {Promise<object>} { balanceKRW, checkedAt }
+   */
+  async refresh() {
+    if (!this.pending) {
+      this.pending = (async () => {
+        const response = await bunjangService.getPointBalance();
+        const balanceKRW = this.parseBalance(response);
+        const status = { balanceKRW, checkedAt: new Date().toISOString() };
+
+        try {
+          this.store.write(status);
+        } catch (error) {
+          // The fresh balance is still returned; only the cached copy for /health is lost
+        }
+        this.checkThreshold(balanceKRW);
+        return status;
+      })().finally(() => {
+        this.pending = null;
+      });
+    }
+
+    return this.pending;
+  }
+
+  /**
+   * Read the balance out of a Bunjang points response
+   * @param {object} response - e.g. { data: { balance: 150000 } }
+   * @returns {number} balance in KRW
+   */
+  parseBalance(response) {
+    const body = response?.data ?? response ?? {};
+    const value = body.balance ?? body.point ?? body.points ?? body.amount;
+    const balanceKRW = Number(value);
+
+    if (value === undefined || value === null || !Number.isFinite(balanceKRW)) {
+      throw new Error('Unexpected Bunjang point balance response');
+    }
+    return balanceKRW;
+  }
+
+  /**
+   * Alert when the balance is below config.points.lowBalanceThresholdKRW
+   * @param {number} balanceKRW
+   */
+  checkThreshold(balanceKRW) {
+    const threshold = config.points.lowBalanceThresholdKRW;
+
+    if (threshold > 0 && balanceKRW < threshold) {
+      alertService.notify(
+        'points:low-balance',
+        `Bunjang point balance is low: ${balanceKRW} KRW (threshold ${threshold} KRW)`,
+        { balanceKRW, threshold, forecast: this.forecast() }
+      );
+    } else {
+      alertService.clear('points:low-balance');
+    }
+  }
+
+  /**
+   * Check whether the balance covers a purchase
+   * Always asks Bunjang, since the balance changes with every order.
+   *
+   * @param {number} requiredKRW - Item price plus shipping
+   * @returns {Promise<object>} { sufficient, balanceKRW, requiredKRW, shortfallKRW }
+   */
+  async checkFunds(requiredKRW) {
+    const { balanceKRW } = await this.refresh();
+
+    return {
+      sufficient: balanceKRW >= requiredKRW,
+      balanceKRW,
+      requiredKRW,
+      shortfallKRW: Math.max(0, requiredKRW - balanceKRW),
+    };
+  }
+
+  /**
+   * Points a ledger entry needs (price plus shipping)
+   * Uses the amount recorded when it was held, else the imported listing.
+   *
+   * @param {object} entry - Ledger entry
+   * @returns {number|null} KRW, or null when unknown
+   */
+  requiredFor(entry) {
+    if (entry.requiredKRW != null) {
+      return entry.requiredKRW;
+    }
+
+    const record = importService.getImport(entry.pid);
+    if (!record || record.priceKRW == null) {
+      return null;
+    }
+    return Number(record.priceKRW) + (Number(record.shippingFeeKRW) || 0);
+  }
+
+  /**
+   * Held ledger entries, oldest first
+   * @returns {Array<object>}
+   */
+  listHeld() {
+    return orderLedgerService
+      .list({ status: 'held', limit: Infinity })
+      .sort((a, b) => (a.heldAt < b.heldAt ? -1 : 1));
+  }
+
+  /**
+   * Forecast the points that unpaid orders will need
+   * Based on the last known balance (see refresh()).
+   *
+   * @returns {object} { balanceKRW, checkedAt, held, pending, requiredKRW, shortfallKRW, unknown }
+   */
+  forecast() {
+    const { balanceKRW, checkedAt } = this.store.read();
+    const entries = orderLedgerService
+      .list({ status: UNPAID_STATUSES, limit: Infinity })
+      // Entries that failed for good will be refunded, not bought
+      .filter((entry) => !(entry.status === 'failed' && entry.error && entry.error.retryable === false));
+
+    const summary = { held: { count: 0, requiredKRW: 0 }, pending: { count: 0, requiredKRW: 0 }, unknown: 0 };
+
+    for (const entry of entries) {
+      const required = this.requiredFor(entry);
+      if (required == null) {
+        summary.unknown++;
+        continue;
+      }
+
+      const bucket = entry.status === 'held' ? summary.held : summary.pending;
+      bucket.count++;
+      bucket.requiredKRW += required;
+    }
+
+    const requiredKRW = summary.held.requiredKRW + summary.pending.requiredKRW;
+    return {
+      balanceKRW,
+      checkedAt,
+      ...summary,
+      requiredKRW,
+      shortfallKRW: balanceKRW == null ? null : Math.max(0, requiredKRW - balanceKRW),
+    };
+  }
+
+  /**
+   * Queue held entries the current balance can cover again
+   * Entries are released oldest first; the first one that does not fit
+   * stops the pass so later (cheaper) orders cannot jump the line.
+   *
+   * @returns {Promise<object>} { released, stillHeld, balanceKRW }
+   */
+  async releaseHeld() {
+    const held = this.listHeld();
+    if (!held.length) {
+      return { released: [], stillHeld: 0, balanceKRW: null };
+    }
+
+    const { balanceKRW } = await this.refresh();
+    let available = balanceKRW;
+    const released = [];
+
+    for (const entry of held) {
+      const required = this.requiredFor(entry) || 0;
+      if (required > available) {
+        break;
+      }
+
+      jobQueueService.enqueue(RESUME_JOB_TYPE, { entryId: entry.id }, {
+        dedupeKey: `${RESUME_JOB_TYPE}:${entry.id}:${entry.heldAt}`,
+      });
+      available -= required;
+      released.push(entry.id);
+    }
+
+    if (released.length) {
+      logger.info(`Released ${released.length} held purchase(s), balance ${balanceKRW} KRW`);
+    }
+    if (released.length === held.length) {
+      alertService.clear('points:insufficient');
+    }
+
+    return { released, stillHeld: held.length - released.length, balanceKRW };
+  }
+
+  /**
+   * Register the job handler that retries a released entry
+   * @param {function(object): Promise<*>} handler - Receives { entryId }
+   */
+  registerResumeHandler(handler) {
+    jobQueueService.registerHandler(RESUME_JOB_TYPE, handler);
+  }
+
+  /**
+   * Start the background release of held entries
+   * (no-op when config.points.resumeIntervalMinutes is 0)
+   */
+  start() {
+    if (this.timer || !config.points.resumeIntervalMinutes) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.releaseHeld().catch((error) => logger.error(`Held purchase check failed: ${error.message}`));
+    }, config.points.resumeIntervalMinutes * 60 * 1000);
+    this.timer.unref();
+
+    logger.info(`Held purchases checked every ${config.points.resumeIntervalMinutes} minute(s)`);
+  }
+
+  /**
+   * Stop the background release
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Last known balance plus forecast (for /health and ops tooling)
+   * @returns {object}
+   */
+  getStatus() {
+    return {
+      guardEnabled: config.points.guardEnabled,
+      lowBalanceThresholdKRW: config.points.lowBalanceThresholdKRW,
+      ...this.forecast(),
+    };
+  }
+}
+
+module.exports = new PointBalanceService();
@@ -0,0 +1,206 @@
+const fs = require('fs');
+const logger = require('../utils/logger');
+const config = require('../config');
+const { getDecimals, roundToCurrency } = require('../utils/currency');
+
+/**
+ * Rounding modes supported by pricing rules
+ * - cents: round to the currency's minor unit (nearest cent, nearest yen, ...)
+ * - whole: round up to the next whole unit (e.g. 12.30 -> 13)
+ * - charm99 / charm95: round up to the next x.99 / x.95 price point
+ *   (currencies without minor units, such as JPY, fall back to "whole")
+ */
+const CHARM_ENDINGS = {
+  charm99: 0.99,
+  charm95: 0.95,
+};
+
+const FALLBACK_DEFAULTS = {
+  markupPercent: 10,
+  fixedFeeKRW: 0,
+  minMarginKRW: 0,
+  rounding: 'cents',
+};
+
+/**
+ * Pricing rules engine
+ *
+ * Rules are read from a JSON file (config.pricing.rulesFile) and evaluated
+ * in order; the first rule whose `match` block fits the product wins.
+ * A rule without `match` matches everything, so the last rule should be
+ * a catch-all.
+ *
+ * Rule shape:
+ * {
+ *   "id": "luxury-bags",
+ *   "name": "Luxury bags",
+ *   "match": {
+ *     "categoryIds": ["430"],          // prefix match on Bunjang categoryId
+ *     "brandIds": ["1234"],
+ *     "conditions": ["NEW", "LIKE_NEW"],
+ *     "minPriceKRW": 500000,           // inclusive
+ *     "maxPriceKRW": 3000000           // exclusive
+ *   },
+ *   "markupPercent": 15,
+ *   "fixedFeeKRW": 3000,               // added on top of the percentage
+ *   "minMarginKRW": 20000,             // markup never goes below this
+ *   "rounding": "charm99"
+ * }
+ */
+class PricingService {
+  constructor() {
+    this.rulesFile = config.pricing.rulesFile;
+    this.defaults = { ...FALLBACK_DEFAULTS };
+    this.rules = [];
+
+    this.reload();
+
+    logger.info('Pricing service initialized');
+  }
+
+  /**
+   * (Re)load pricing rules from the rules file
+   * Keeps the previously loaded rules if the file is invalid
+   *
+   * @returns {number} number of loaded rules
+   */
+  reload() {
+    try {
+      const raw = JSON.parse(fs.readFileSync(this.rulesFile, 'utf8'));
+      const rules = Array.isArray(raw) ? raw : raw.rules;
+
+      if (!Array.isArray(rules)) {
+        throw new Error('Pricing rules file must contain a "rules" array');
+      }
+
+      this.defaults = { ...FALLBACK_DEFAULTS, ...(raw.defaults || {}) };
+      this.rules = rules.map((rule, index) => ({
+        id: rule.id || `rule-${index + 1}`,
+        ...rule,
+      }));
+
+      logger.info(`Loaded ${this.rules.length} pricing rule(s) from ${this.rulesFile}`);
+    } catch (error) {
+      logger.error(`Failed to load pricing rules, keeping previous rules: ${error.message}`);
+    }
+
+    return this.rules.length;
+  }
+
+  /**
+   * Check whether a rule's match block fits the product
+   * @param {object} match - Rule match criteria
+   * @param {object} product - Bunjang product
+   * @returns {boolean}
+   */
+  matches(match, product) {
+    if (!match) return true;
+
+    const price = Number(product.price) || 0;
+    const categoryId = product.categoryId != null ? String(product.categoryId) : '';
+
+    if (match.categoryIds && !match.categoryIds.some((id) => categoryId.startsWith(String(id)))) {
+      return false;
+    }
+    if (match.brandIds && !match.brandIds.map(String).includes(String(product.brandId))) {
+      return false;
+    }
+    if (match.conditions && !match.conditions.includes(product.condition)) {
+      return false;
+    }
+    if (match.minPriceKRW != null && price < match.minPriceKRW) {
+      return false;
+    }
+    if (match.maxPriceKRW != null && price >= match.maxPriceKRW) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Find the rule that applies to a product, merged with the defaults
+   * @param {object} product - Bunjang product
+   * @returns {object} resolved rule
+   */
+  findRule(product) {
+    const rule = this.rules.find((candidate) => this.matches(candidate.match, product));
+    return { ...this.defaults, id: 'default', ...(rule || {}) };
+  }
+
+  /**
+   * Round a price according to a rounding mode
+   * @param {number} amount
+   * @param {string} mode - cents, whole, charm99, charm95
+   * @param {string} currency - ISO 4217 code (default: USD)
+   * @returns {number}
+   */
+  round(amount, mode = 'cents', currency = 'USD') {
+    const hasMinorUnits = getDecimals(currency) > 0;
+
+    if (mode === 'whole' || (CHARM_ENDINGS[mode] !== undefined && !hasMinorUnits)) {
+      return Math.ceil(roundToCurrency(amount, currency));
+    }
+
+    if (CHARM_ENDINGS[mode] !== undefined) {
+      const ending = CHARM_ENDINGS[mode];
+      const charmed = Math.ceil(Math.round((amount - ending) * 100) / 100) + ending;
+      return Math.round(Math.max(charmed, ending) * 100) / 100;
+    }
+
+    return roundToCurrency(amount, currency);
+  }
+
+  /**
+   * Price a Bunjang product in the target currency
+   *
+   * @param {object} product - Bunjang product (price, categoryId, brandId, condition)
+   * @param {number} exchangeRate - 1 KRW in the target currency
+   * @param {string} currency - Target currency (default: USD)
+   * @returns {{ price: number, rule: object }} final price and the applied rule summary
+   */
+  quote(product, exchangeRate, currency = 'USD') {
+    const rule = this.findRule(product);
+    const priceKRW = Number(product.price) || 0;
+
+    const percentMarkupKRW = priceKRW * (rule.markupPercent / 100);
+    const markupKRW = Math.max(percentMarkupKRW + rule.fixedFeeKRW, rule.minMarginKRW);
+
+    const price = this.round((priceKRW + markupKRW) * exchangeRate, rule.rounding, currency);
+
+    return {
+      price,
+      rule: this.describeRule(rule),
+    };
+  }
+
+  /**
+   * Convert Bunjang's shipping fee to the target currency
+   * @param {number} shippingFeeKRW
+   * @param {number} exchangeRate - 1 KRW in the target currency
+   * @param {string} currency - Target currency (default: USD)
+   * @returns {number}
+   */
+  convertShippingFee(shippingFeeKRW, exchangeRate, currency = 'USD') {
+    const markup = 1 + config.pricing.shippingMarkupPercent / 100;
+    return roundToCurrency((Number(shippingFeeKRW) || 0) * exchangeRate * markup, currency);
+  }
+
+  /**
+   * Public summary of a rule, safe to return in API responses
+   * @param {object} rule - Resolved rule
+   * @returns {object}
+   */
+  describeRule(rule) {
+    return {
+      id: rule.id,
+      name: rule.name,
+      markupPercent: rule.markupPercent,
+      fixedFeeKRW: rule.fixedFeeKRW,
+      minMarginKRW: rule.minMarginKRW,
+      rounding: rule.rounding,
+    };
+  }
+}
+
+module.exports = new PricingService();
@@ -0,0 +1,130 @@
+const net = require('net');
+const logger = require('../utils/logger');
+const config = require('../config');
+const { createStore } = require('./rateLimitStores');
+
+// Client scopes counted for every request; the tightest one decides
+const SCOPES = ['ip', 'customer', 'shop'];
+
+/**
+ * Storefront rate limiting
+ *
+ * Each budget (search, detail) has its own per-window limits for:
+ * - ip: the client address (req.ip, see TRUST_PROXY); for App Proxy
+ *   requests the shopper's address forwarded by Shopify
+ * - customer: the logged-in Shopify customer, per shop
+ * - shop: everything coming through one storefront
+ * A request counts against every scope that applies to it and is rejected
+ * as soon as one of them is over its limit.
+ */
+class RateLimitService {
+  constructor() {
+    this.store = createStore(config.rateLimit.store, config.rateLimit);
+    this.allowlist = this.buildAllowlist(config.rateLimit.allowlist);
+    this.rejected = {};
+
+    logger.info(`Rate limit service initialized (store: ${this.store.name})`);
+  }
+
+  /**
+   * Parse allowlist entries (IPs or CIDR ranges)
+   * @param {string[]} entries - e.g. ['10.0.0.5', '192.168.0.0/16', '::1']
+   * @returns {net.BlockList}
+   */
+  buildAllowlist(entries) {
+    const list = new net.BlockList();
+
+    for (const entry of entries) {
+      const [address, prefix] = entry.split('/');
+      const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+
+      if (!net.isIP(address)) {
+        logger.warn(`Ignoring invalid rate limit allowlist entry: ${entry}`);
+      } else if (prefix !== undefined) {
+        list.addSubnet(address, parseInt(prefix), type);
+      } else {
+        list.addAddress(address, type);
+      }
+    }
+    return list;
+  }
+
+  /**
+   * Whether an address bypasses rate limiting (our own monitoring, ...)
+   * @param {string} ip
+   * @returns {boolean}
+   */
+  isAllowlisted(ip) {
+    if (!ip) return false;
+    // Express reports IPv4 clients on dual-stack sockets as ::ffff:a.b.c.d
+    const address = ip.startsWith('::ffff:') ? ip.slice(7) : ip;
+    const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+    return net.isIP(address) !== 0 && this.allowlist.check(address, type);
+  }
+
+  /**
+   * Count a request against its budget
+   *
+   * @param {string} budget - 'search' or 'detail'
+   * @param {object} client - { ip, shop, customerId }
+   * @returns {Promise<object>} { allowed, limit, remaining, resetAt, retryAfterSeconds, scope }
+   */
+  async consume(budget, { ip, shop, customerId }) {
+    const limits = config.rateLimit[budget];
+    const windowMs = config.rateLimit.windowSeconds * 1000;
+    const ids = {
+      ip,
+      customer: customerId ? `${shop || 'unknown'}:${customerId}` : null,
+      shop,
+    };
+
+    const results = await Promise.all(
+      SCOPES.filter((scope) => ids[scope] && limits[scope]).map(async (scope) => {
+        const { count, resetAt } = await this.store.increment(`${budget}:${scope}:${ids[scope]}`, windowMs);
+        return { scope, limit: limits[scope], remaining: Math.max(0, limits[scope] - count), over: count > limits[scope], resetAt };
+      })
+    );
+
+    if (!results.length) {
+      return { allowed: true, limit: null, remaining: null, resetAt: null, retryAfterSeconds: 0, scope: null };
+    }
+
+    // Report the scope closest to its limit (or the one that is over it)
+    const tightest = results.reduce((worst, result) => {
+      if (result.over !== worst.over) return result.over ? result : worst;
+      return result.remaining < worst.remaining ? result : worst;
+    });
+
+    if (tightest.over) {
+      const key = `${budget}:${tightest.scope}`;
+      this.rejected[key] = (this.rejected[key] || 0) + 1;
+    }
+
+    return {
+      allowed: !tightest.over,
+      limit: tightest.limit,
+      remaining: tightest.remaining,
+      resetAt: tightest.resetAt,
+      retryAfterSeconds: tightest.over ? Math.max(1, Math.ceil((tightest.resetAt - Date.now()) / 1000)) : 0,
+      scope: tightest.scope,
+    };
+  }
+
+  /**
+   * Limiter settings and rejections since start (for /admin)
+   * @returns {object}
+   */
+  getStatus() {
+    const { enabled, windowSeconds, search, detail, allowlist } = config.rateLimit;
+    return {
+      enabled,
+      store: this.store.name,
+      windowSeconds,
+      limits: { search, detail },
+      allowlist,
+      rejected: { ...this.rejected },
+    };
+  }
+}
+
+module.exports = new RateLimitService();
@@ -0,0 +1,105 @@
+const { RespClient } = require('../utils/respClient');
+
+/**
+ * Rate limit counter stores
+ *
+ * A store counts hits per key in fixed windows:
+ *
+ *   increment(key, windowMs) -> { count, resetAt }   (resetAt in epoch ms)
+ *   close()
+ *
+ * Windows are aligned to the epoch, so every instance sharing a store
+ * agrees on when a window starts. Register additional stores with
+ * `registerStore(name, factory)` and select them with RATE_LIMIT_STORE.
+ */
+const factories = new Map();
+
+/**
+ * Register a store factory
+ * @param {string} name - Store name used in config.rateLimit.store
+ * @param {function(object): object} factory - Receives config.rateLimit, returns a store
+ */
+function registerStore(name, factory) {
+  factories.set(name, factory);
+}
+
+/**
+ * Create a store by name
+ * @param {string} name
+ * @param {object} options - config.rateLimit
+ * @returns {object} store
+ */
+function createStore(name, options) {
+  const factory = factories.get(name);
+  if (!factory) {
+    throw new Error(`Unknown rate limit store: ${name}`);
+  }
+  return factory(options);
+}
+
+const windowBounds = (windowMs) => {
+  const start = Math.floor(Date.now() / windowMs) * windowMs;
+  return { start, resetAt: start + windowMs };
+};
+
+// Per process: limits multiply by the number of instances
+registerStore('memory', () => {
+  const counters = new Map(); // key -> { count, resetAt }
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    counters.forEach((counter, key) => {
+      if (counter.resetAt <= now) counters.delete(key);
+    });
+  }, 60 * 1000);
+  sweep.unref();
+
+  return {
+    name: 'memory',
+    async increment(key, windowMs) {
+      const { start, resetAt } = windowBounds(windowMs);
+      const windowKey = `${key}:${start}`;
+      const counter = counters.get(windowKey) || { count: 0, resetAt };
+
+      counter.count++;
+      counters.set(windowKey, counter);
+      return { count: counter.count, resetAt };
+    },
+    async close() {
+      clearInterval(sweep);
+    },
+  };
+});
+
+// INCR and set the window's expiry in one step, so a failure in between
+// cannot leave a counter that never expires
+const INCREMENT_SCRIPT = `
+local count = redis.call('INCR', KEYS[1])
+if count == 1 then
+  redis.call('PEXPIRE', KEYS[1], ARGV[1])
+end
+return count`;
+
+// Redis protocol: one budget shared by every instance (incl. serverless)
+registerStore('redis', (options) => {
+  const client = new RespClient({ url: options.redisUrl, timeoutMs: options.redisTimeoutMs });
+
+  return {
+    name: 'redis',
+    async increment(key, windowMs) {
+      const { start, resetAt } = windowBounds(windowMs);
+      const windowKey = `${options.namespace}:ratelimit:${key}:${start}`;
+
+      const count = await client.command('EVAL', INCREMENT_SCRIPT, 1, windowKey, windowMs);
+      return { count, resetAt };
+    },
+    async close() {
+      await client.close();
+    },
+  };
+});
+
+module.exports = {
+  registerStore,
+  createStore,
+};
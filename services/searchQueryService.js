@@ -0,0 +1,212 @@
+const fs = require('fs');
+const logger = require('../utils/logger');
+const config = require('../config');
+const bunjangService = require('./bunjangService');
+
+/**
+ * Search query pre-processor for Bunjang product search
+ *
+ * English queries ("nike dunk low", "gameboy") are rewritten into Korean
+ * with the dictionary in config.search.synonymsFile:
+ * {
+ *   "brands":   { "nike": ["나이키"], ... },
+ *   "synonyms": { "dunk low": ["덩크 로우", "덩크로우"], ... }
+ * }
+ * Keys are lowercase English phrases (longest match wins); the first Korean
+ * term is the preferred one, later ones are alternates used as fan-out
+ * variants. Words not in the dictionary (sizes, model numbers, Korean) are
+ * kept as typed.
+ */
+class SearchQueryService {
+  constructor() {
+    this.synonymsFile = config.search.synonymsFile;
+    this.dictionary = new Map();
+    this.brands = new Set();
+    this.maxPhraseWords = 1;
+
+    this.reload();
+
+    logger.info('Search query service initialized');
+  }
+
+  /**
+   * (Re)load the synonym / brand dictionary
+   * Keeps the previous dictionary if the file is invalid
+   *
+   * @returns {number} number of entries
+   */
+  reload() {
+    try {
+      const raw = JSON.parse(fs.readFileSync(this.synonymsFile, 'utf8'));
+      const dictionary = new Map();
+      const brands = new Set();
+
+      for (const section of ['brands', 'synonyms']) {
+        for (const [phrase, terms] of Object.entries(raw[section] || {})) {
+          const key = this.normalize(phrase);
+          const list = [].concat(terms).filter(Boolean);
+          if (!key || !list.length) continue;
+
+          dictionary.set(key, list);
+          if (section === 'brands') brands.add(key);
+        }
+      }
+
+      this.dictionary = dictionary;
+      this.brands = brands;
+      this.maxPhraseWords = Math.max(1, ...Array.from(dictionary.keys(), (key) => key.split(' ').length));
+      logger.info(`Loaded ${dictionary.size} search synonym(s) from ${this.synonymsFile}`);
+    } catch (error) {
+      logger.error(`Failed to load search synonyms, keeping previous dictionary: ${error.message}`);
+    }
+
+    return this.dictionary.size;
+  }
+
+  normalize(text) {
+    return String(text).toLowerCase().replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Rewrite a query into Korean variants
+   *
+   * @param {string} query
+   * @returns {object} { query, rewritten, variants, matches: [{ phrase, terms, brand }] }
+   *   `rewritten` is null when nothing matched; `variants` always starts with the query to run.
+   */
+  rewrite(query) {
+    const tokens = this.normalize(query).split(' ').filter(Boolean);
+    const parts = [];
+    const matches = [];
+
+    for (let i = 0; i < tokens.length;) {
+      let matched = false;
+
+      for (let length = Math.min(this.maxPhraseWords, tokens.length - i); length > 0; length--) {
+        const phrase = tokens.slice(i, i + length).join(' ');
+        const terms = this.dictionary.get(phrase);
+        if (terms) {
+          parts.push(terms);
+          matches.push({ phrase, terms, brand: this.brands.has(phrase) });
+          i += length;
+          matched = true;
+          break;
+        }
+      }
+
+      if (!matched) {
+        parts.push([tokens[i]]);
+        i++;
+      }
+    }
+
+    if (!matches.length) {
+      return { query, rewritten: null, variants: [query], matches };
+    }
+
+    const rewritten = parts.map((terms) => terms[0]).join(' ');
+    const variants = [rewritten];
+
+    // Alternates: swap in the other Korean terms one phrase at a time
+    parts.forEach((terms, index) => {
+      terms.slice(1).forEach((alternate) => {
+        variants.push(parts.map((other, j) => (j === index ? alternate : other[0])).join(' '));
+      });
+    });
+    // English listings exist too
+    variants.push(query);
+
+    return {
+      query,
+      rewritten,
+      variants: Array.from(new Set(variants)).slice(0, Math.max(1, config.search.maxVariants)),
+      matches,
+    };
+  }
+
+  /**
+   * Bunjang product search with query rewriting
+   *
+   * Runs the rewritten query. With fan-out enabled, a first page that comes
+   * back short (fewer than `size` products, or the last page) is topped up
+   * from the other variants in order, deduplicated by pid, so the rewritten
+   * query's own results are never pushed out. Later pages (cursor) follow
+   * the rewritten query only, since cursors belong to one query.
+   *
+   * @param {object} params - bunjangService.getProducts params
+   * @returns {Promise<object>} Bunjang response plus `search`:
+   *   { query, rewritten, used, variants, fanOut } where `used` lists the
+   *   queries that contributed products
+   */
+  async getProducts(params = {}) {
+    if (!params.q || !config.search.expandQueries) {
+      return bunjangService.getProducts(params);
+    }
+
+    const { query, rewritten, variants } = this.rewrite(params.q);
+    const [primaryQuery, ...alternates] = variants;
+    const canFanOut = config.search.fanOut && !params.cursor && alternates.length > 0;
+
+    let primary = null;
+    try {
+      primary = await bunjangService.getProducts({ ...params, q: primaryQuery });
+    } catch (error) {
+      if (!canFanOut) throw error;
+      logger.warn(`Search variant "${primaryQuery}" failed: ${error.message}`);
+    }
+
+    const size = parseInt(params.size) || null;
+    const products = primary ? [...(primary.data || [])] : [];
+    const short = !primary || (size ? products.length < size : !primary.hasNext);
+    const fanOut = canFanOut && short;
+    const search = { query, rewritten, used: [], variants, fanOut };
+
+    if (!fanOut) {
+      search.used.push(primaryQuery);
+      if (rewritten) {
+        logger.debug(`Search "${query}" rewritten to "${primaryQuery}"`);
+      }
+      return { ...primary, search };
+    }
+
+    const results = await Promise.allSettled(alternates.map((q) => bunjangService.getProducts({ ...params, q })));
+    if (!primary && results.every((result) => result.status === 'rejected')) {
+      throw results[0].reason;
+    }
+
+    const seen = new Set(products.map((product) => product.pid));
+    if (products.length) {
+      search.used.push(primaryQuery);
+    }
+    results.forEach((result, index) => {
+      if (result.status === 'rejected') {
+        logger.warn(`Search variant "${alternates[index]}" failed: ${result.reason.message}`);
+        return;
+      }
+
+      const before = products.length;
+      for (const product of result.value.data || []) {
+        if (size && products.length >= size) break;
+        if (seen.has(product.pid)) continue;
+        seen.add(product.pid);
+        products.push(product);
+      }
+      if (products.length > before) {
+        search.used.push(alternates[index]);
+      }
+    });
+    logger.debug(`Search "${query}" topped up from "${search.used.join('", "')}"`);
+
+    // Pagination continues with the rewritten query
+    const base = primary || results.find((result) => result.status === 'fulfilled').value;
+    return {
+      ...base,
+      data: products,
+      nextCursor: primary ? primary.nextCursor : undefined,
+      hasNext: Boolean(primary && primary.hasNext),
+      search,
+    };
+  }
+}
+
+module.exports = new SearchQueryService();
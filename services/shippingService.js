@@ -0,0 +1,340 @@
+const fs = require('fs');
+const logger = require('../utils/logger');
+const config = require('../config');
+const JsonStore = require('../utils/jsonStore');
+const { AppError } = require('../utils/errors');
+const pricingService = require('./pricingService');
+
+/**
+ * International shipping estimates
+ *
+ * What the shopper pays to get a Bunjang item is Bunjang's domestic
+ * shipping (seller -> our warehouse, the listing's `shippingFee`) plus our
+ * international leg, priced by weight and destination.
+ *
+ * The tables come from config.shipping.ratesFile:
+ * {
+ *   "weightClasses": { "small": { "name": "...", "weightKg": 0.5 }, ... },
+ *   "defaultWeightClass": "medium",
+ *   "categories": { "405": { "name": "Shoes", "weightClass": "large" }, ... },
+ *   "zones": {
+ *     "north-america": {
+ *       "countries": ["US", "CA"],
+ *       "rates": [{ "upToKg": 0.5, "priceKRW": 21000 }, ...],   // ascending
+ *       "perExtraKgKRW": 11500                                   // beyond the last bracket
+ *     }
+ *   }
+ * }
+ * Listings carry no weight, so it is inferred from the category (longest
+ * categoryId prefix wins). Admin overrides per category (shipping-overrides.json,
+ * see /admin/shipping) take precedence over the file.
+ */
+class ShippingService {
+  constructor() {
+    this.ratesFile = config.shipping.ratesFile;
+    this.tables = { weightClasses: {}, defaultWeightClass: null, categories: {}, zones: {} };
+    this.countryZones = new Map();
+    this.overrideStore = new JsonStore('shipping-overrides.json', { categories: {} });
+
+    this.reload();
+
+    logger.info('Shipping service initialized');
+  }
+
+  /**
+   * (Re)load the rate tables
+   * Keeps the previous tables if the file is invalid
+   *
+   * @returns {number} number of zones
+   */
+  reload() {
+    try {
+      const raw = JSON.parse(fs.readFileSync(this.ratesFile, 'utf8'));
+      const weightClasses = raw.weightClasses || {};
+      const categories = raw.categories || {};
+      const zones = raw.zones || {};
+
+      for (const [name, weightClass] of Object.entries(weightClasses)) {
+        if (!(Number(weightClass.weightKg) > 0)) {
+          throw new Error(`Weight class ${name} needs a positive weightKg`);
+        }
+      }
+      if (!weightClasses[raw.defaultWeightClass]) {
+        throw new Error(`Unknown defaultWeightClass: ${raw.defaultWeightClass}`);
+      }
+      for (const [categoryId, category] of Object.entries(categories)) {
+        if (!weightClasses[category.weightClass]) {
+          throw new Error(`Category ${categoryId}: unknown weight class ${category.weightClass}`);
+        }
+      }
+
+      const countryZones = new Map();
+      for (const [id, zone] of Object.entries(zones)) {
+        if (!Array.isArray(zone.rates) || !zone.rates.length) {
+          throw new Error(`Zone ${id} needs a "rates" array`);
+        }
+        zone.rates.sort((a, b) => a.upToKg - b.upToKg);
+        (zone.countries || []).forEach((country) => countryZones.set(String(country).toUpperCase(), id));
+      }
+
+      this.tables = { weightClasses, defaultWeightClass: raw.defaultWeightClass, categories, zones };
+      this.countryZones = countryZones;
+      logger.info(`Loaded ${Object.keys(zones).length} shipping zone(s) from ${this.ratesFile}`);
+    } catch (error) {
+      logger.error(`Failed to load shipping rates, keeping previous tables: ${error.message}`);
+    }
+
+    return Object.keys(this.tables.zones).length;
+  }
+
+  /**
+   * Longest categoryId prefix with an entry in `map`
+   * @returns {string|null}
+   */
+  findCategory(map, categoryId) {
+    const id = categoryId != null ? String(categoryId) : '';
+    return Object.keys(map)
+      .filter((prefix) => id.startsWith(prefix))
+      .sort((a, b) => b.length - a.length)[0] || null;
+  }
+
+  /**
+   * Weight class of a Bunjang category
+   *
+   * @param {string} categoryId
+   * @returns {object} { weightClass, weightKg, source: 'override'|'category'|'default', categoryId }
+   *   `categoryId` is the matched prefix
+   */
+  resolveWeightClass(categoryId) {
+    const overrides = this.overrideStore.read().categories;
+    const overridden = this.findCategory(overrides, categoryId);
+    const mapped = overridden ? null : this.findCategory(this.tables.categories, categoryId);
+
+    let weightClass = this.tables.defaultWeightClass;
+    let source = 'default';
+    if (overridden) {
+      weightClass = overrides[overridden].weightClass;
+      source = 'override';
+    } else if (mapped) {
+      weightClass = this.tables.categories[mapped].weightClass;
+      source = 'category';
+    }
+
+    // Overrides may name a class that was since removed from the rates file
+    if (!this.tables.weightClasses[weightClass]) {
+      weightClass = this.tables.defaultWeightClass;
+    }
+    const weightKg = Number(this.tables.weightClasses[weightClass].weightKg);
+    return { weightClass, weightKg, source, categoryId: overridden || mapped };
+  }
+
+  /**
+   * Shipping zone of a destination country
+   * @param {string} country - ISO 3166-1 alpha-2
+   * @returns {string|null} zone id
+   */
+  zoneFor(country) {
+    return this.countryZones.get(String(country).toUpperCase()) || null;
+  }
+
+  /**
+   * International leg price for a parcel weight
+   * @param {string} zoneId
+   * @param {number} weightKg
+   * @returns {number|null} KRW, or null when the zone has no rate for the weight
+   */
+  internationalRateKRW(zoneId, weightKg) {
+    const zone = this.tables.zones[zoneId];
+    const bracket = zone.rates.find((rate) => weightKg <= rate.upToKg);
+    if (bracket) {
+      return bracket.priceKRW;
+    }
+    if (!zone.perExtraKgKRW) {
+      return null;
+    }
+
+    const last = zone.rates[zone.rates.length - 1];
+    return last.priceKRW + Math.ceil(weightKg - last.upToKg) * zone.perExtraKgKRW;
+  }
+
+  /**
+   * Price the legs in the presentment currency
+   * (same conversion and markup as Bunjang's shipping fee, see pricingService)
+   */
+  buildQuote({ country, zoneId, domesticKRW, internationalKRW, exchangeRate, currency }) {
+    const totalKRW = domesticKRW + internationalKRW;
+    return {
+      country,
+      zone: zoneId,
+      available: true,
+      domesticKRW,
+      internationalKRW,
+      totalKRW,
+      domestic: pricingService.convertShippingFee(domesticKRW, exchangeRate, currency),
+      international: pricingService.convertShippingFee(internationalKRW, exchangeRate, currency),
+      total: pricingService.convertShippingFee(totalKRW, exchangeRate, currency),
+      currency,
+      estimated: true,
+    };
+  }
+
+  unavailable(country, currency, reason) {
+    return { country, available: false, reason, currency, estimated: true };
+  }
+
+  /**
+   * Shipping estimate for one product
+   *
+   * @param {object} product - Bunjang product or transformed one (categoryId, shippingFee / shippingFeeKRW)
+   * @param {object} options - { country, exchangeRate, currency }
+   * @returns {object} { country, zone, available, weightClass, weightKg, weightSource,
+   *   domesticKRW, internationalKRW, totalKRW, domestic, international, total, currency, estimated }
+   */
+  quote(product, { country, exchangeRate, currency }) {
+    const zoneId = this.zoneFor(country);
+    if (!zoneId) {
+      return this.unavailable(country, currency, `We do not ship to ${country}`);
+    }
+
+    const { weightClass, weightKg, source } = this.resolveWeightClass(product.categoryId);
+    const internationalKRW = this.internationalRateKRW(zoneId, weightKg);
+    if (internationalKRW === null) {
+      return this.unavailable(country, currency, `No ${zoneId} rate for ${weightKg} kg`);
+    }
+
+    return {
+      ...this.buildQuote({
+        country,
+        zoneId,
+        domesticKRW: Number(product.shippingFeeKRW ?? product.shippingFee) || 0,
+        internationalKRW,
+        exchangeRate,
+        currency,
+      }),
+      weightClass,
+      weightKg,
+      weightSource: source,
+    };
+  }
+
+  /**
+   * Add `internationalShipping` to transformed products
+   *
+   * @param {object[]} products - Mutated in place
+   * @param {object} options - { country, exchangeRate, currency }
+   * @returns {object[]} products
+   */
+  quoteProducts(products, options) {
+    products.forEach((product) => {
+      product.internationalShipping = this.quote(product, options);
+    });
+    return products;
+  }
+
+  /**
+   * Shipping estimate for a cart
+   * Every item pays its own domestic leg to our warehouse; the items then
+   * travel together, so the international leg is priced on the total weight.
+   *
+   * @param {object[]} products - Bunjang products
+   * @param {object} options - { country, exchangeRate, currency }
+   * @returns {object} quote (see quote()) plus weightKg and items
+   */
+  quoteCart(products, { country, exchangeRate, currency }) {
+    const zoneId = this.zoneFor(country);
+    if (!zoneId) {
+      return this.unavailable(country, currency, `We do not ship to ${country}`);
+    }
+
+    const items = products.map((product) => {
+      const { weightClass, weightKg } = this.resolveWeightClass(product.categoryId);
+      return {
+        id: String(product.pid ?? product.id),
+        weightClass,
+        weightKg,
+        domesticKRW: Number(product.shippingFeeKRW ?? product.shippingFee) || 0,
+      };
+    });
+
+    const weightKg = Math.round(items.reduce((sum, item) => sum + item.weightKg, 0) * 1000) / 1000;
+    const internationalKRW = items.length ? this.internationalRateKRW(zoneId, weightKg) : 0;
+    if (internationalKRW === null) {
+      return this.unavailable(country, currency, `No ${zoneId} rate for ${weightKg} kg`);
+    }
+
+    return {
+      ...this.buildQuote({
+        country,
+        zoneId,
+        domesticKRW: items.reduce((sum, item) => sum + item.domesticKRW, 0),
+        internationalKRW,
+        exchangeRate,
+        currency,
+      }),
+      weightKg,
+      items,
+    };
+  }
+
+  /**
+   * Set the weight class of a category (and its subcategories)
+   *
+   * @param {string} categoryId - Bunjang categoryId (prefix)
+   * @param {string} weightClass - One of the weight classes in the rates file
+   * @returns {object} stored override
+   */
+  setCategoryOverride(categoryId, weightClass) {
+    if (!/^\d+$/.test(String(categoryId))) {
+      throw new AppError('categoryId must be a Bunjang category ID', 400, 'INVALID_CATEGORY');
+    }
+    if (!this.tables.weightClasses[weightClass]) {
+      throw new AppError(
+        `weightClass must be one of ${Object.keys(this.tables.weightClasses).join(', ')}`,
+        400,
+        'INVALID_WEIGHT_CLASS'
+      );
+    }
+
+    const override = { weightClass, updatedAt: new Date().toISOString() };
+    this.overrideStore.update((data) => {
+      data.categories[String(categoryId)] = override;
+    });
+
+    logger.info(`Shipping weight class for category ${categoryId} set to ${weightClass}`);
+    return override;
+  }
+
+  /**
+   * Remove a category override (back to the rates file)
+   * @param {string} categoryId
+   */
+  removeCategoryOverride(categoryId) {
+    if (!this.overrideStore.read().categories[String(categoryId)]) {
+      throw new AppError(`No weight class override for category ${categoryId}`, 404, 'OVERRIDE_NOT_FOUND');
+    }
+
+    this.overrideStore.update((data) => {
+      delete data.categories[String(categoryId)];
+    });
+    logger.info(`Shipping weight class override for category ${categoryId} removed`);
+  }
+
+  /**
+   * Tables and overrides (for /admin)
+   * @returns {object}
+   */
+  getStatus() {
+    const { weightClasses, defaultWeightClass, categories, zones } = this.tables;
+    return {
+      ratesFile: this.ratesFile,
+      defaultCountry: config.shipping.defaultCountry,
+      weightClasses,
+      defaultWeightClass,
+      categories,
+      overrides: this.overrideStore.read().categories,
+      zones,
+    };
+  }
+}
+
+module.exports = new ShippingService();
@@ -0,0 +1,302 @@
+const axios = require('axios');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+/**
+ * Shopify Admin API client (REST, plus GraphQL where REST has no equivalent)
+ */
+class ShopifyAdminService {
+  constructor() {
+    this.client = axios.create({
+      baseURL: `https://${config.shopify.storeDomain}/admin/api/${config.shopify.apiVersion}`,
+      timeout: 15000,
+      headers: {
+        'X-Shopify-Access-Token': config.shopify.accessToken,
+        'Content-Type': 'application/json',
+      },
+    });
+
+    this.client.interceptors.response.use(
+      (response) => {
+        logger.debug(`Shopify Admin API Response: ${response.status} ${response.config.method.toUpperCase()} ${response.config.url}`);
+        return response;
+      },
+      (error) => {
+        logger.error('Shopify Admin API Response Error:', {
+          url: error.config?.url,
+          method: error.config?.method,
+          status: error.response?.status,
+          message: error.message,
+          responseData: error.response?.data,
+        });
+        return Promise.reject(error);
+      }
+    );
+
+    this.locationId = config.shopify.locationId || null;
+
+    logger.info('Shopify Admin service initialized');
+  }
+
+  /**
+   * Run a GraphQL Admin API query
+   * @param {string} query
+   * @param {object} variables
+   * @returns {Promise<object>} data
+   */
+  async graphql(query, variables = {}) {
+    const response = await this.client.post('/graphql.json', { query, variables });
+
+    if (response.data.errors) {
+      const message = response.data.errors.map((e) => e.message).join('; ');
+      throw new Error(`Shopify GraphQL error: ${message}`);
+    }
+
+    return response.data.data;
+  }
+
+  /**
+   * Get a product by ID
+   * @param {string|number} productId
+   * @returns {Promise<object>} product
+   */
+  async getProduct(productId) {
+    const response = await this.client.get(`/products/${productId}.json`);
+    return response.data.product;
+  }
+
+  /**
+   * Create a product
+   * @param {object} product - REST product payload
+   * @returns {Promise<object>} created product
+   */
+  async createProduct(product) {
+    const response = await this.client.post('/products.json', { product });
+    return response.data.product;
+  }
+
+  /**
+   * Update a product
+   * @param {string|number} productId
+   * @param {object} product - Fields to update
+   * @returns {Promise<object>} updated product
+   */
+  async updateProduct(productId, product) {
+    const response = await this.client.put(`/products/${productId}.json`, {
+      product: { id: productId, ...product },
+    });
+    return response.data.product;
+  }
+
+  /**
+   * Update a variant
+   * @param {string|number} variantId
+   * @param {object} variant - Fields to update (price, sku, ...)
+   * @returns {Promise<object>} updated variant
+   */
+  async updateVariant(variantId, variant) {
+    const response = await this.client.put(`/variants/${variantId}.json`, {
+      variant: { id: variantId, ...variant },
+    });
+    return response.data.variant;
+  }
+
+  /**
+   * Find a variant by SKU
+   * @param {string} sku
+   * @returns {Promise<object|null>} { productId, variantId, inventoryItemId } or null
+   */
+  async findVariantBySku(sku) {
+    const data = await this.graphql(
+      `query findVariant($query: String!) {
+        productVariants(first: 1, query: $query) {
+          edges {
+            node {
+              legacyResourceId
+              sku
+              product { legacyResourceId }
+              inventoryItem { legacyResourceId }
+            }
+          }
+        }
+      }`,
+      { query: `sku:${sku}` }
+    );
+
+    const node = data.productVariants.edges[0]?.node;
+    if (!node || node.sku !== sku) {
+      return null;
+    }
+
+    return {
+      productId: node.product.legacyResourceId,
+      variantId: node.legacyResourceId,
+      inventoryItemId: node.inventoryItem.legacyResourceId,
+    };
+  }
+
+  /**
+   * Create or update a product metafield
+   * @param {string|number} productId
+   * @param {object} metafield - { namespace, key, value, type }
+   * @returns {Promise<object>} metafield
+   */
+  async setProductMetafield(productId, metafield) {
+    const response = await this.client.post(`/products/${productId}/metafields.json`, { metafield });
+    return response.data.metafield;
+  }
+
+  /**
+   * Create or update an order metafield
+   * @param {string|number} orderId
+   * @param {object} metafield - { namespace, key, value, type }
+   * @returns {Promise<object>} metafield
+   */
+  async setOrderMetafield(orderId, metafield) {
+    const response = await this.client.post(`/orders/${orderId}/metafields.json`, { metafield });
+    return response.data.metafield;
+  }
+
+  /**
+   * Refund line items of an order
+   *
+   * Shopify calculates the refundable amount first (suggested transactions),
+   * then the refund is created against the original payment.
+   *
+   * @param {string|number} orderId
+   * @param {Array<object>} lineItems - [{ lineItemId, quantity }]
+   * @param {object} options
+   * @param {boolean} options.notify - Email the customer
+   * @param {string} options.note - Refund note (shown to staff, and in the email)
+   * @returns {Promise<object>} refund
+   */
+  async refundLineItems(orderId, lineItems, { notify = true, note } = {}) {
+    const refundLineItems = lineItems.map((item) => ({
+      line_item_id: item.lineItemId,
+      quantity: item.quantity || 1,
+      restock_type: 'no_restock',
+    }));
+
+    const calculation = await this.client.post(`/orders/${orderId}/refunds/calculate.json`, {
+      refund: { refund_line_items: refundLineItems },
+    });
+
+    const transactions = (calculation.data.refund.transactions || []).map((transaction) => ({
+      parent_id: transaction.parent_id,
+      amount: transaction.amount,
+      kind: 'refund',
+      gateway: transaction.gateway,
+    }));
+
+    const response = await this.client.post(`/orders/${orderId}/refunds.json`, {
+      refund: {
+        notify,
+        note,
+        refund_line_items: refundLineItems,
+        transactions,
+      },
+    });
+    return response.data.refund;
+  }
+
+  /**
+   * List the fulfillment orders of an order
+   * @param {string|number} orderId
+   * @returns {Promise<Array<object>>} fulfillment orders
+   */
+  async getFulfillmentOrders(orderId) {
+    const response = await this.client.get(`/orders/${orderId}/fulfillment_orders.json`);
+    return response.data.fulfillment_orders;
+  }
+
+  /**
+   * Fulfill line items with tracking information
+   *
+   * @param {Array<object>} lineItemsByFulfillmentOrder - [{ fulfillmentOrderId, lineItems: [{ id, quantity }] }]
+   * @param {object} tracking - { company, number, url }
+   * @param {object} options
+   * @param {boolean} options.notify - Send Shopify's shipping confirmation email
+   * @returns {Promise<object>} fulfillment
+   */
+  async createFulfillment(lineItemsByFulfillmentOrder, tracking, { notify = true } = {}) {
+    const response = await this.client.post('/fulfillments.json', {
+      fulfillment: {
+        line_items_by_fulfillment_order: lineItemsByFulfillmentOrder.map((group) => ({
+          fulfillment_order_id: group.fulfillmentOrderId,
+          fulfillment_order_line_items: group.lineItems,
+        })),
+        tracking_info: tracking,
+        notify_customer: notify,
+      },
+    });
+    return response.data.fulfillment;
+  }
+
+  /**
+   * Change the tracking information of a fulfillment
+   *
+   * @param {string|number} fulfillmentId
+   * @param {object} tracking - { company, number, url }
+   * @param {object} options
+   * @param {boolean} options.notify - Send Shopify's shipping update email
+   * @returns {Promise<object>} fulfillment
+   */
+  async updateFulfillmentTracking(fulfillmentId, tracking, { notify = true } = {}) {
+    const response = await this.client.post(`/fulfillments/${fulfillmentId}/update_tracking.json`, {
+      fulfillment: { tracking_info: tracking, notify_customer: notify },
+    });
+    return response.data.fulfillment;
+  }
+
+  /**
+   * Add a shipment status event to a fulfillment
+   * @param {string|number} orderId
+   * @param {string|number} fulfillmentId
+   * @param {string} status - in_transit, out_for_delivery, delivered, ...
+   * @returns {Promise<object>} fulfillment event
+   */
+  async createFulfillmentEvent(orderId, fulfillmentId, status) {
+    const response = await this.client.post(`/orders/${orderId}/fulfillments/${fulfillmentId}/events.json`, {
+      event: { status },
+    });
+    return response.data.fulfillment_event;
+  }
+
+  /**
+   * Resolve the inventory location (config or first active location)
+   * @returns {Promise<string>} location ID
+   */
+  async getLocationId() {
+    if (this.locationId) {
+      return this.locationId;
+    }
+
+    const response = await this.client.get('/locations.json');
+    const location = response.data.locations.find((l) => l.active) || response.data.locations[0];
+
+    if (!location) {
+      throw new Error('No Shopify location found for inventory');
+    }
+
+    this.locationId = location.id;
+    return this.locationId;
+  }
+
+  /**
+   * Set the available quantity of an inventory item
+   * @param {string|number} inventoryItemId
+   * @param {number} available
+   * @returns {Promise<object>} inventory level
+   */
+  async setInventoryLevel(inventoryItemId, available) {
+    const locationId = await this.getLocationId();
+    const response = await this.client.post('/inventory_levels/set.json', {
+      location_id: locationId,
+      inventory_item_id: inventoryItemId,
+      available,
+    });
+    return response.data.inventory_level;
+  }
+}
+
+module.exports = new ShopifyAdminService();
@@ -0,0 +1,265 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const config = require('../config');
+const JsonStore = require('../utils/jsonStore');
+const { AppError } = require('../utils/errors');
+const { createTranslator } = require('./translators');
+
+const HANGUL = /[가-힣ㄱ-ㅎㅏ-ㅣ]/;
+const GLOSSARY_CATEGORIES = ['brand', 'size', 'condition', 'term'];
+// Largest batch sent to the translator in one call (DeepL accepts 50 texts)
+const BATCH_SIZE = 50;
+
+/**
+ * Korean -> English translation of listing titles and descriptions
+ *
+ * 1. Glossary terms (brands, sizes, condition terms) are replaced first, so
+ *    names come out the same on every listing, whatever the translator.
+ * 2. Text that still contains Hangul goes to the configured translator.
+ * 3. Translator results are cached in translations.json, keyed by a hash of
+ *    translator + input, so the same string is never paid for twice. A
+ *    glossary edit changes the input, so affected text is translated again.
+ *
+ * Failures never break a response: the glossary-only text is returned.
+ */
+class TranslationService {
+  constructor() {
+    this.translator = createTranslator(config.translation.provider);
+    this.glossaryStore = new JsonStore('translation-glossary.json', this.loadSeedGlossary());
+    this.cacheStore = new JsonStore('translations.json', { entries: {} });
+    this.glossaryPattern = undefined;
+    this.stats = { hits: 0, misses: 0, translatorCalls: 0, failures: 0 };
+
+    logger.info(`Translation service initialized (translator: ${this.translator.name})`);
+  }
+
+  /**
+   * Initial glossary (config/translation-glossary.json), used until the
+   * managed copy in the data directory exists
+   * @returns {object} { terms }
+   */
+  loadSeedGlossary() {
+    try {
+      return JSON.parse(fs.readFileSync(config.translation.glossaryFile, 'utf8'));
+    } catch (error) {
+      logger.error(`Failed to load translation glossary ${config.translation.glossaryFile}: ${error.message}`);
+      return { terms: {} };
+    }
+  }
+
+  /**
+   * Apply the glossary (longest terms first)
+   * Terms only match whole tokens: not preceded or followed by a letter or
+   * digit, so `중고` leaves `중고등` alone.
+   *
+   * @param {string} text
+   * @returns {string}
+   */
+  applyGlossary(text) {
+    if (this.glossaryPattern === undefined) {
+      const terms = Object.keys(this.glossaryStore.read().terms)
+        .sort((a, b) => b.length - a.length)
+        .map((term) => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+      this.glossaryPattern = terms.length
+        ? new RegExp(`(?<![\\p{L}\\p{N}])(?:${terms.join('|')})(?![\\p{L}\\p{N}])`, 'gu')
+        : null;
+    }
+    if (!this.glossaryPattern) return text;
+
+    const { terms } = this.glossaryStore.read();
+    return text.replace(this.glossaryPattern, (term) => terms[term].translation);
+  }
+
+  cacheKey(text) {
+    return crypto.createHash('sha256').update(`${this.translator.name}\n${text}`).digest('hex');
+  }
+
+  /**
+   * Translate several texts (deduplicated, one translator call per batch)
+   * @param {string[]} texts
+   * @returns {Promise<Map<string, string>>} original -> English
+   */
+  async translateMany(texts) {
+    const results = new Map();
+    const pending = new Map(); // glossary output -> originals
+
+    for (const text of new Set(texts.filter((value) => typeof value === 'string'))) {
+      const glossed = this.applyGlossary(text);
+      if (!HANGUL.test(glossed)) {
+        results.set(text, glossed);
+        continue;
+      }
+
+      const cached = this.translator.cacheable ? this.cacheStore.read().entries[this.cacheKey(glossed)] : undefined;
+      if (cached) {
+        this.stats.hits++;
+        results.set(text, cached.translation);
+        continue;
+      }
+
+      this.stats.misses++;
+      pending.set(glossed, [...(pending.get(glossed) || []), text]);
+    }
+
+    const inputs = Array.from(pending.keys());
+    for (let i = 0; i < inputs.length; i += BATCH_SIZE) {
+      const batch = inputs.slice(i, i + BATCH_SIZE);
+      let translations;
+
+      try {
+        this.stats.translatorCalls++;
+        translations = await this.translator.translate(batch);
+      } catch (error) {
+        this.stats.failures++;
+        logger.error(`Translation via ${this.translator.name} failed, using glossary only: ${error.message}`);
+        translations = batch;
+      }
+
+      batch.forEach((input, index) => {
+        pending.get(input).forEach((text) => results.set(text, translations[index] ?? input));
+      });
+
+      if (this.translator.cacheable && translations !== batch) {
+        this.remember(batch, translations);
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Translate one text
+   * @param {string} text
+   * @returns {Promise<string>}
+   */
+  async translate(text) {
+    if (typeof text !== 'string' || !text) return text;
+    return (await this.translateMany([text])).get(text);
+  }
+
+  /**
+   * Store translator results, dropping the oldest entries over the limit
+   */
+  remember(inputs, translations) {
+    try {
+      this.cacheStore.update((data) => {
+        const now = new Date().toISOString();
+        inputs.forEach((input, index) => {
+          data.entries[this.cacheKey(input)] = {
+            translation: translations[index],
+            translator: this.translator.name,
+            createdAt: now,
+          };
+        });
+
+        const keys = Object.keys(data.entries);
+        const excess = keys.length - config.translation.cacheMaxEntries;
+        if (excess > 0) {
+          keys
+            .sort((a, b) => data.entries[a].createdAt.localeCompare(data.entries[b].createdAt))
+            .slice(0, excess)
+            .forEach((key) => delete data.entries[key]);
+        }
+      });
+    } catch (error) {
+      // Only a cache: the texts are translated again next time (JsonStore logged the failure)
+    }
+  }
+
+  /**
+   * Add English fields to transformed products (see bunjangService.transformToShopifyFormat)
+   * `title` / `description` keep the original Korean; `titleEn` / `descriptionEn` are added.
+   *
+   * @param {object[]} products - Mutated in place
+   * @param {object} options
+   * @param {boolean} options.descriptions - Also translate descriptions (detail pages)
+   * @returns {Promise<object[]>} products
+   */
+  async translateProducts(products, { descriptions = false } = {}) {
+    if (!config.translation.enabled) return products;
+
+    const texts = products.flatMap((product) => (descriptions ? [product.title, product.description] : [product.title]));
+    const translated = await this.translateMany(texts);
+
+    products.forEach((product) => {
+      product.titleEn = translated.get(product.title) ?? product.title;
+      if (descriptions) {
+        product.descriptionEn = translated.get(product.description) ?? product.description;
+      }
+    });
+    return products;
+  }
+
+  /**
+   * Managed glossary
+   * @returns {object} { term: { translation, category, updatedAt } }
+   */
+  getGlossary() {
+    return this.glossaryStore.read().terms;
+  }
+
+  /**
+   * Add or change a glossary term
+   * @param {string} term - Korean term
+   * @param {object} entry - { translation, category }
+   * @returns {object} stored entry
+   */
+  setGlossaryTerm(term, { translation, category = 'term' } = {}) {
+    if (!term || typeof translation !== 'string' || !translation.trim()) {
+      throw new AppError('term and translation are required', 400, 'INVALID_GLOSSARY_TERM');
+    }
+    if (!GLOSSARY_CATEGORIES.includes(category)) {
+      throw new AppError(`category must be one of ${GLOSSARY_CATEGORIES.join(', ')}`, 400, 'INVALID_GLOSSARY_TERM');
+    }
+
+    const entry = { translation: translation.trim(), category, updatedAt: new Date().toISOString() };
+    this.glossaryStore.update((data) => {
+      data.terms[term] = entry;
+    });
+    this.glossaryPattern = undefined;
+
+    logger.info(`Glossary term set: ${term} -> ${entry.translation} (${category})`);
+    return entry;
+  }
+
+  /**
+   * Remove a glossary term
+   * @param {string} term
+   */
+  removeGlossaryTerm(term) {
+    if (!this.getGlossary()[term]) {
+      throw new AppError(`Glossary term not found: ${term}`, 404, 'GLOSSARY_TERM_NOT_FOUND');
+    }
+
+    this.glossaryStore.update((data) => {
+      delete data.terms[term];
+    });
+    this.glossaryPattern = undefined;
+    logger.info(`Glossary term removed: ${term}`);
+  }
+
+  /**
+   * Drop every cached translation
+   * @returns {number} entries removed
+   */
+  clearCache() {
+    return this.cacheStore.update((data) => {
+      const count = Object.keys(data.entries).length;
+      data.entries = {};
+      return count;
+    });
+  }
+
+  getStatus() {
+    return {
+      enabled: config.translation.enabled,
+      translator: this.translator.name,
+      glossaryTerms: Object.keys(this.getGlossary()).length,
+      cachedTranslations: Object.keys(this.cacheStore.read().entries).length,
+      ...this.stats,
+    };
+  }
+}
+
+module.exports = new TranslationService();
@@ -0,0 +1,83 @@
+const axios = require('axios');
+const config = require('../config');
+
+/**
+ * Korean -> English translators
+ *
+ * A translator is an object with a `name`, a `cacheable` flag (paid / remote
+ * results worth persisting) and an async `translate(texts)` that resolves to
+ * the translations in the same order. The glossary has already been applied
+ * to the texts (see services/translationService.js).
+ *
+ * Register additional translators with `registerTranslator(name, factory)`
+ * and select one with TRANSLATION_PROVIDER.
+ */
+const factories = new Map();
+
+/**
+ * Register a translator factory
+ * @param {string} name - Translator name used in config.translation.provider
+ * @param {function(object): object} factory - Receives config.translation, returns a translator
+ */
+function registerTranslator(name, factory) {
+  factories.set(name, factory);
+}
+
+/**
+ * Create a translator by name
+ * @param {string} name
+ * @returns {object} translator
+ */
+function createTranslator(name) {
+  const factory = factories.get(name);
+  if (!factory) {
+    throw new Error(`Unknown translator: ${name}`);
+  }
+  return factory(config.translation);
+}
+
+// Glossary only (offline, free): anything not in the glossary stays Korean
+registerTranslator('dictionary', () => ({
+  name: 'dictionary',
+  cacheable: false,
+  async translate(texts) {
+    return texts;
+  },
+}));
+
+// Deterministic fake for tests and local development: "[en] <text>"
+registerTranslator('stub', () => ({
+  name: 'stub',
+  cacheable: true,
+  async translate(texts) {
+    return texts.map((text) => `[en] ${text}`);
+  },
+}));
+
+// DeepL API (requires TRANSLATION_DEEPL_API_KEY)
+registerTranslator('deepl', (options) => ({
+  name: 'deepl',
+  cacheable: true,
+  async translate(texts) {
+    if (!options.deeplApiKey) {
+      throw new Error('TRANSLATION_DEEPL_API_KEY not configured');
+    }
+
+    const body = new URLSearchParams({ source_lang: 'KO', target_lang: 'EN-US' });
+    texts.forEach((text) => body.append('text', text));
+
+    const response = await axios.post(options.deeplApiUrl, body.toString(), {
+      timeout: 10000,
+      headers: {
+        Authorization: `DeepL-Auth-Key ${options.deeplApiKey}`,
+        'Content-Type': 'application/x-www-form-urlencoded',
+      },
+    });
+    return response.data.translations.map((translation) => translation.text);
+  },
+}));
+
+module.exports = {
+  registerTranslator,
+  createTranslator,
+};
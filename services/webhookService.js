@@ -0,0 +1,93 @@
+const logger = require('../utils/logger');
+const jobQueueService = require('./jobQueueService');
+const orderProcessingService = require('./orderProcessingService');
+const importService = require('./importService');
+const inventorySyncService = require('./inventorySyncService');
+
+/**
+ * Shopify webhook topics we handle
+ *
+ * Webhooks are only verified and queued in the request; the work happens
+ * in job queue workers (one job type per topic), or in the request itself
+ * where there are no workers (config.queue.runInline). `dedupeKey` decides
+ * which deliveries count as the same event.
+ */
+const TOPICS = {
+  'orders/paid': {
+    dedupeKey: (payload) => `orders/paid:${payload.id}`,
+    handle: (payload) => orderProcessingService.processPaidOrder(payload),
+  },
+  'orders/cancelled': {
+    dedupeKey: (payload) => `orders/cancelled:${payload.id}`,
+    handle: (payload) => orderProcessingService.handleOrderCancelled(payload),
+  },
+  'refunds/create': {
+    dedupeKey: (payload) => `refunds/create:${payload.id}`,
+    handle: (payload) => orderProcessingService.handleRefund(payload),
+  },
+  'products/delete': {
+    dedupeKey: (payload) => `products/delete:${payload.id}`,
+    handle: async (payload) => {
+      const record = importService.findByShopifyProduct(payload.id);
+      if (!record) {
+        return { deleted: false };
+      }
+      importService.updateImport(record.pid, { status: 'deleted' });
+      logger.info(`Shopify product ${payload.id} deleted, Bunjang product ${record.pid} no longer synced`);
+      return { deleted: true, pid: record.pid };
+    },
+  },
+  'app/uninstalled': {
+    dedupeKey: (payload, webhookId) => `app/uninstalled:${webhookId || payload.id}`,
+    handle: async (payload) => {
+      inventorySyncService.stop();
+      logger.error(`App uninstalled from ${payload.myshopify_domain || payload.domain}; Admin API calls will fail until reinstalled`);
+      return { shop: payload.myshopify_domain || payload.domain };
+    },
+  },
+};
+
+class WebhookService {
+  /**
+   * Check whether a topic has a handler
+   * @param {string} topic - X-Shopify-Topic
+   * @returns {boolean}
+   */
+  handles(topic) {
+    return Object.prototype.hasOwnProperty.call(TOPICS, topic);
+  }
+
+  /**
+   * Record a verified webhook and queue it for processing
+   *
+   * @param {string} topic - X-Shopify-Topic
+   * @param {object} payload - Parsed webhook body
+   * @param {string} webhookId - X-Shopify-Webhook-Id
+   * @returns {{ jobId: string|null, duplicate: boolean }}
+   */
+  dispatch(topic, payload, webhookId) {
+    const delivered = jobQueueService.getWebhook(webhookId);
+    if (delivered) {
+      logger.info(`Duplicate webhook delivery ${webhookId} (${topic}), ignoring`);
+      return { jobId: delivered.jobId || null, duplicate: true };
+    }
+
+    const { job, duplicate } = jobQueueService.enqueue(topic, payload, {
+      dedupeKey: TOPICS[topic].dedupeKey(payload, webhookId),
+    });
+    jobQueueService.recordWebhook(webhookId, { topic, jobId: job.id });
+
+    return { jobId: job.id, duplicate };
+  }
+
+  /**
+   * Register one job queue handler per topic
+   */
+  registerJobHandlers() {
+    Object.keys(TOPICS).forEach((topic) => {
+      jobQueueService.registerHandler(topic, (payload) => TOPICS[topic].handle(payload));
+    });
+  }
+}
+
+module.exports = new WebhookService();
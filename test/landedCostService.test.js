@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+process.env.LANDED_COST_RATES_FILE = path.join(__dirname, 'fixtures', 'landed-cost-rates.json');
+require('../utils/logger').silent = true;
+const landedCostService = require('../services/landedCostService');
+
+// 1 KRW in USD (presentment) and in the threshold currencies
+const USD = { currency: 'USD', exchangeRate: 0.00075 };
+const GBP_RATE = 0.0006;
+const JPY_RATE = 0.11;
+
+test('CIF: duty and VAT are charged on goods + shipping above the de-minimis', () => {
+  // 200 USD = 160 GBP, over the 135 GBP duty threshold
+  const estimate = landedCostService.estimate({ price: 200, shipping: 20 }, { ...USD, country: 'GB', thresholdRate: GBP_RATE });
+
+  assert.equal(estimate.dutyBase, 'CIF');
+  assert.equal(estimate.customsValue, 220);
+  assert.deepEqual(estimate.duty, { rate: 0.04, amount: 8.8, exempt: false });
+  assert.equal(estimate.tax.amount, 45.76);
+  assert.equal(estimate.deMinimis.goodsValue, 160);
+  assert.equal(estimate.total, 274.56);
+});
+
+test('de-minimis waives duty at or below the threshold, in the threshold currency', () => {
+  // 100 USD = 80 GBP: no duty, but VAT has no threshold
+  const estimate = landedCostService.estimate({ price: 100, shipping: 20 }, { ...USD, country: 'GB', thresholdRate: GBP_RATE });
+
+  assert.deepEqual(estimate.duty, { rate: 0.04, amount: 0, exempt: true });
+  assert.equal(estimate.tax.exempt, false);
+  assert.equal(estimate.tax.amount, 24);
+  assert.equal(estimate.total, 144);
+});
+
+test('de-minimis is not applied when the threshold currency rate is unknown', () => {
+  const estimate = landedCostService.estimate({ price: 100, shipping: 20 }, { ...USD, country: 'GB', thresholdRate: null });
+
+  assert.equal(estimate.duty.exempt, false);
+  assert.equal(estimate.duty.amount, 4.8);
+  assert.equal(estimate.deMinimis.goodsValue, null);
+});
+
+test('FOB: shipping stays out of the customs value', () => {
+  const estimate = landedCostService.estimate(
+    { price: 200, shipping: 20, categoryId: '405100' },
+    { ...USD, country: 'US', thresholdRate: 0.00075 }
+  );
+
+  assert.equal(estimate.dutyBase, 'FOB');
+  assert.equal(estimate.hsCode, '6403');
+  assert.equal(estimate.customsValue, 200);
+  assert.deepEqual(estimate.duty, { rate: 0.1, amount: 20, exempt: false });
+  assert.equal(estimate.total, 240);
+});
+
+test('JP: only the valuationFactor share of the price is dutiable', () => {
+  // 60% of 200 USD = 120 USD = 17600 JPY, over the 10000 JPY threshold
+  const estimate = landedCostService.estimate(
+    { price: 200, shipping: 20, categoryId: '405' },
+    { ...USD, country: 'JP', thresholdRate: JPY_RATE }
+  );
+
+  assert.equal(estimate.customsValue, 140);
+  assert.equal(estimate.deMinimis.goodsValue, 17600);
+  assert.equal(estimate.duty.amount, 42);
+  assert.equal(estimate.tax.amount, 18.2);
+  assert.equal(estimate.total, 280.2);
+});
+
+test('JP: the threshold is compared against the reduced value', () => {
+  // 60% of 100 USD = 8800 JPY: duty and consumption tax are both waived
+  const estimate = landedCostService.estimate(
+    { price: 100, shipping: 20, categoryId: '405' },
+    { ...USD, country: 'JP', thresholdRate: JPY_RATE }
+  );
+
+  assert.equal(estimate.deMinimis.goodsValue, 8800);
+  assert.equal(estimate.duty.exempt, true);
+  assert.equal(estimate.tax.exempt, true);
+  assert.equal(estimate.total, 120);
+});
+
+test('countries without data are reported as unavailable', () => {
+  const estimate = landedCostService.estimate({ price: 100 }, { ...USD, country: 'BR', thresholdRate: null });
+
+  assert.equal(estimate.available, false);
+  assert.match(estimate.reason, /BR/);
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'translation-test-'));
+process.env.TRANSLATION_PROVIDER = 'stub';
+process.env.TRANSLATION_GLOSSARY_FILE = path.join(__dirname, 'fixtures', 'translation-glossary.json');
+require('../utils/logger').silent = true;
+const translationService = require('../services/translationService');
+
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+/**
+ * Record the batches the translator receives during fn
+ */
+async function translatorCalls(fn) {
+  const { translator } = translationService;
+  const original = translator.translate;
+  const batches = [];
+  translator.translate = async (texts) => {
+    batches.push(texts);
+    return original.call(translator, texts);
+  };
+  try {
+    await fn();
+  } finally {
+    translator.translate = original;
+  }
+  return batches;
+}
+
+test('text the glossary fully covers never reaches the translator', async () => {
+  let results;
+  const batches = await translatorCalls(async () => {
+    results = await translationService.translateMany(['나이키 새상품']);
+  });
+
+  assert.equal(results.get('나이키 새상품'), 'Nike brand new');
+  assert.deepEqual(batches, []);
+});
+
+test('the translator gets the glossary output, and its result is cached', async () => {
+  const before = { ...translationService.stats };
+  let first;
+  let second;
+  const batches = await translatorCalls(async () => {
+    first = await translationService.translateMany(['나이키 운동화 중고', '나이키 운동화 중고']);
+    second = await translationService.translateMany(['나이키 운동화 중고']);
+  });
+
+  assert.deepEqual(batches, [['Nike 운동화 used']]);
+  assert.equal(first.get('나이키 운동화 중고'), '[en] Nike 운동화 used');
+  assert.equal(second.get('나이키 운동화 중고'), '[en] Nike 운동화 used');
+  assert.equal(translationService.stats.misses - before.misses, 1);
+  assert.equal(translationService.stats.hits - before.hits, 1);
+
+  const cache = JSON.parse(fs.readFileSync(path.join(process.env.DATA_DIR, 'translations.json'), 'utf8'));
+  const key = translationService.cacheKey('Nike 운동화 used');
+  assert.equal(cache.entries[key].translation, '[en] Nike 운동화 used');
+});
+
+test('glossary terms only replace whole tokens', async () => {
+  const results = await translationService.translateMany(['중고등 참고서']);
+
+  assert.equal(results.get('중고등 참고서'), '[en] 중고등 참고서');
+});
+
+test('a translator failure falls back to the glossary output without caching it', async () => {
+  const { translator } = translationService;
+  const original = translator.translate;
+  translator.translate = async () => {
+    throw new Error('quota exceeded');
+  };
+  let results;
+  try {
+    results = await translationService.translateMany(['새상품 가방']);
+  } finally {
+    translator.translate = original;
+  }
+
+  assert.equal(results.get('새상품 가방'), 'brand new 가방');
+  const retried = await translationService.translateMany(['새상품 가방']);
+  assert.equal(retried.get('새상품 가방'), '[en] brand new 가방');
+});
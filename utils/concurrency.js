@@ -0,0 +1,30 @@
+/**
+ * Map over items with at most `limit` async calls in flight
+ * Results keep the order of `items`; a rejected call rejects the whole map,
+ * so callers that want per-item errors should catch inside `fn`.
+ *
+ * @param {Array} items
+ * @param {number} limit - Max concurrent calls (>= 1)
+ * @param {function(*, number): Promise<*>} fn
+ * @returns {Promise<Array>} results
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+  await Promise.all(workers);
+
+  return results;
+}
+
+module.exports = {
+  mapWithConcurrency,
+};
@@ -0,0 +1,31 @@
+const config = require('../config');
+
+/**
+ * Normalize an ISO 3166-1 alpha-2 country code
+ * @param {string} value
+ * @returns {string|null} upper-case code, or null when invalid
+ */
+function normalizeCountry(value) {
+  const country = String(value || '').trim().toUpperCase();
+  return /^[A-Z]{2}$/.test(country) ? country : null;
+}
+
+/**
+ * Resolve the shopper's destination country
+ * `country` query param, else config.shipping.defaultCountry.
+ *
+ * Shopify strips cookies from App Proxy requests, so the storefront's
+ * country selection only reaches us as a query param: the theme must append
+ * `country={{ localization.country.iso_code }}` to its proxy URLs.
+ *
+ * @param {object} req - Express request
+ * @returns {string} ISO 3166-1 alpha-2 code
+ */
+function resolveDestinationCountry(req) {
+  return normalizeCountry(req.query.country) || config.shipping.defaultCountry;
+}
+
+module.exports = {
+  normalizeCountry,
+  resolveDestinationCountry,
+};
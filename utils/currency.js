@@ -0,0 +1,76 @@
+const config = require('../config');
+
+/**
+ * Number of minor units (decimal places) per ISO 4217 currency
+ * Currencies not listed default to 2.
+ */
+const CURRENCY_DECIMALS = {
+  KRW: 0,
+  JPY: 0,
+  USD: 2,
+  EUR: 2,
+  GBP: 2,
+  CAD: 2,
+  AUD: 2,
+};
+
+/**
+ * Get the number of decimal places for a currency
+ * @param {string} currency - ISO 4217 code
+ * @returns {number}
+ */
+function getDecimals(currency) {
+  return CURRENCY_DECIMALS[currency] !== undefined ? CURRENCY_DECIMALS[currency] : 2;
+}
+
+/**
+ * Round an amount to the currency's minor unit
+ * @param {number} amount
+ * @param {string} currency
+ * @returns {number}
+ */
+function roundToCurrency(amount, currency) {
+  const factor = Math.pow(10, getDecimals(currency));
+  return Math.round(amount * factor) / factor;
+}
+
+/**
+ * Check whether a currency is enabled for the storefront
+ * @param {string} currency
+ * @returns {boolean}
+ */
+function isSupportedCurrency(currency) {
+  return config.currency.supported.includes(currency);
+}
+
+/**
+ * Resolve the shopper's presentment currency for a request
+ * Order: ?currency=, ?presentment_currency=, default.
+ * Unsupported currencies fall back to the default.
+ *
+ * Shopify strips cookies from App Proxy requests, so the storefront's
+ * currency only reaches us as a query param: the theme must append
+ * `currency={{ cart.currency.iso_code }}` to its proxy URLs.
+ *
+ * @param {object} req - Express request
+ * @returns {string} ISO 4217 code
+ */
+function resolvePresentmentCurrency(req) {
+  const requested = req.query.currency || req.query.presentment_currency;
+
+  if (requested) {
+    const currency = String(requested).toUpperCase();
+    if (isSupportedCurrency(currency)) {
+      return currency;
+    }
+  }
+
+  return config.currency.default;
+}
+
+module.exports = {
+  getDecimals,
+  roundToCurrency,
+  isSupportedCurrency,
+  resolvePresentmentCurrency,
+};
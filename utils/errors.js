@@ -0,0 +1,174 @@
+/**
+ * Application error types
+ * `statusCode` is picked up by middleware/errorHandler.js
+ */
+class AppError extends Error {
+  constructor(message, statusCode = 500, code = 'INTERNAL_ERROR') {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+}
+
+/**
+ * No usable exchange rate (all providers failed and the last rate is too old)
+ */
+class ExchangeRateUnavailableError extends AppError {
+  constructor(message = 'Exchange rate unavailable') {
+    super(message, 503, 'EXCHANGE_RATE_UNAVAILABLE');
+  }
+}
+
+/**
+ * Order ledger state machine rejected a status change
+ */
+class InvalidTransitionError extends AppError {
+  constructor(id, from, to) {
+    super(`Ledger entry ${id} cannot move from ${from} to ${to}`, 409, 'INVALID_TRANSITION');
+    this.from = from;
+    this.to = to;
+  }
+}
+
+/**
+ * Bunjang order placement failed
+ * `retryable` tells callers whether trying again later can succeed.
+ */
+class BunjangOrderError extends AppError {
+  constructor(message, { statusCode = 502, code = 'BUNJANG_ORDER_FAILED', retryable = true, details } = {}) {
+    super(message, statusCode, code);
+    this.retryable = retryable;
+    this.details = details;
+  }
+}
+
+/**
+ * The Bunjang item is sold, reserved or no longer listed
+ */
+class ProductSoldOutError extends BunjangOrderError {
+  constructor(pid, details) {
+    super(`Bunjang product ${pid} is no longer available`, {
+      statusCode: 409,
+      code: 'PRODUCT_SOLD_OUT',
+      retryable: false,
+      details,
+    });
+    this.pid = pid;
+  }
+}
+
+/**
+ * The Bunjang price differs from the price we sold at
+ */
+class PriceChangedError extends BunjangOrderError {
+  constructor(pid, expectedPriceKRW, actualPriceKRW) {
+    super(`Bunjang product ${pid} price changed from ${expectedPriceKRW} to ${actualPriceKRW} KRW`, {
+      statusCode: 409,
+      code: 'PRICE_CHANGED',
+      retryable: false,
+      details: { expectedPriceKRW, actualPriceKRW },
+    });
+    this.pid = pid;
+    this.expectedPriceKRW = expectedPriceKRW;
+    this.actualPriceKRW = actualPriceKRW;
+  }
+}
+
+/**
+ * An export-compliance policy blocks the Bunjang item
+ * (see services/complianceService.js)
+ */
+class RestrictedProductError extends BunjangOrderError {
+  constructor(pid, rules) {
+    super(`Bunjang product ${pid} is restricted: ${rules.map((rule) => rule.reason).join('; ')}`, {
+      statusCode: 422,
+      code: 'PRODUCT_RESTRICTED',
+      retryable: false,
+      details: { rules },
+    });
+    this.pid = pid;
+  }
+}
+
+/**
+ * The order request reached Bunjang but no answer came back (timeout,
+ * dropped connection): the order may or may not exist. Not retryable, since
+ * posting again could buy the item twice; ops reconcile it by hand.
+ */
+class OrderOutcomeUnknownError extends BunjangOrderError {
+  constructor(pid, message) {
+    super(`Outcome of the Bunjang order for ${pid} is unknown: ${message}`, {
+      statusCode: 502,
+      code: 'ORDER_OUTCOME_UNKNOWN',
+      retryable: false,
+    });
+    this.pid = pid;
+    this.needsReview = true;
+  }
+}
+
+/**
+ * Our Bunjang point balance cannot cover the order
+ */
+class InsufficientPointsError extends BunjangOrderError {
+  constructor(message = 'Insufficient Bunjang point balance', details) {
+    super(message, {
+      statusCode: 402,
+      code: 'INSUFFICIENT_POINTS',
+      retryable: true,
+      details,
+    });
+  }
+}
+
+/**
+ * Bunjang refused to cancel an order (already shipped, confirmed, ...)
+ */
+class OrderNotCancellableError extends BunjangOrderError {
+  constructor(orderId, details) {
+    super(`Bunjang order ${orderId} can no longer be cancelled`, {
+      statusCode: 409,
+      code: 'ORDER_NOT_CANCELLABLE',
+      retryable: false,
+      details,
+    });
+    this.orderId = orderId;
+  }
+}
+
+/**
+ * Bunjang calls are short-circuited while the API keeps failing
+ * (see the circuit breaker in services/bunjangService.js)
+ */
+class BunjangUnavailableError extends AppError {
+  constructor(retryAfterSeconds) {
+    super('Bunjang API is temporarily unavailable', 503, 'BUNJANG_UNAVAILABLE');
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+}
+
+/**
+ * Runtime state could not be saved (see utils/jsonStore.js)
+ */
+class StorageError extends AppError {
+  constructor(filePath, cause) {
+    super(`Failed to write ${filePath}: ${cause.message}`, 503, 'STORAGE_UNAVAILABLE');
+    this.filePath = filePath;
+  }
+}
+
+module.exports = {
+  AppError,
+  ExchangeRateUnavailableError,
+  InvalidTransitionError,
+  BunjangOrderError,
+  ProductSoldOutError,
+  PriceChangedError,
+  RestrictedProductError,
+  OrderOutcomeUnknownError,
+  InsufficientPointsError,
+  OrderNotCancellableError,
+  BunjangUnavailableError,
+  StorageError,
+};
@@ -0,0 +1,185 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const config = require('../config');
+const { StorageError } = require('./errors');
+
+// update() holds a lock file while it reads, changes and writes the document
+const LOCK_TIMEOUT_MS = 5000;
+// A lock older than this was left behind by a process that died mid-update
+const LOCK_STALE_MS = 10000;
+const LOCK_RETRY_MS = 10;
+
+/**
+ * Small file-backed JSON store for runtime state
+ * (exchange-rate history, order ledger, job queue, ...)
+ *
+ * The whole document is kept in memory and written back atomically
+ * (write to a temp file, then rename) on every change, which is plenty
+ * for the low write volume of this backend.
+ *
+ * Other processes write the same files (the server and the npm run
+ * scripts), so the copy in memory is reloaded whenever the file changed
+ * on disk since we last read or wrote it, and update() takes a lock file
+ * (`<file>.lock`) so two processes never overwrite each other's changes.
+ *
+ * A failed write throws StorageError and drops the in-memory copy, so
+ * callers never act on (or answer with) state that was not saved.
+ */
+class JsonStore {
+  /**
+   * @param {string} name - File name inside config.storage.dataDir (e.g. 'ledger.json')
+   * @param {object} defaults - Initial document when the file does not exist yet
+   */
+  constructor(name, defaults = {}) {
+    this.filePath = path.isAbsolute(name) ? name : path.join(config.storage.dataDir, name);
+    this.defaults = defaults;
+    this.data = null;
+    this.version = null; // mtime and size of the file the in-memory copy matches
+    this.lockPath = `${this.filePath}.lock`;
+    this.lockDepth = 0;
+  }
+
+  /**
+   * Load the document from disk, unless the copy in memory is current
+   * @returns {object} document
+   */
+  read() {
+    const version = this.fileVersion();
+    if (this.data && version === this.version) {
+      return this.data;
+    }
+
+    this.version = version;
+    try {
+      const raw = fs.readFileSync(this.filePath, 'utf8');
+      this.data = { ...clone(this.defaults), ...JSON.parse(raw) };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error(`Failed to read store ${this.filePath}, starting empty: ${error.message}`);
+      }
+      this.data = clone(this.defaults);
+    }
+
+    return this.data;
+  }
+
+  /**
+   * Replace the document and persist it
+   * @param {object} data
+   * @throws {StorageError} when the file cannot be written (the next read reloads from disk)
+   */
+  write(data) {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+      fs.renameSync(tmpPath, this.filePath);
+      this.version = this.fileVersion();
+    } catch (error) {
+      logger.error(`Failed to write store ${this.filePath}: ${error.message}`);
+      this.data = null;
+      throw new StorageError(this.filePath, error);
+    }
+
+    this.data = data;
+  }
+
+  /**
+   * Mutate the document in place and persist it
+   * Starts from the file on disk when another process changed it, and
+   * holds the lock file until the change is written.
+   *
+   * @param {function(object): *} fn - Receives the document, may return a value
+   * @returns {*} value returned by fn
+   * @throws {StorageError} see write(), or when the lock cannot be taken
+   */
+  update(fn) {
+    this.lock();
+    try {
+      const data = this.read();
+      const result = fn(data);
+      this.write(data);
+      return result;
+    } finally {
+      this.unlock();
+    }
+  }
+
+  /**
+   * Take the lock file, waiting for another process to release it
+   * Re-entrant within this process; a lock older than LOCK_STALE_MS is removed.
+   *
+   * @throws {StorageError} when the lock is still held after LOCK_TIMEOUT_MS
+   */
+  lock() {
+    if (this.lockDepth > 0) {
+      this.lockDepth++;
+      return;
+    }
+
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+    for (;;) {
+      try {
+        fs.mkdirSync(path.dirname(this.lockPath), { recursive: true });
+        fs.closeSync(fs.openSync(this.lockPath, 'wx'));
+        this.lockDepth = 1;
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw new StorageError(this.filePath, error);
+        }
+      }
+
+      if (this.lockAge() > LOCK_STALE_MS) {
+        logger.warn(`Removing stale lock ${this.lockPath}`);
+        fs.rmSync(this.lockPath, { force: true });
+        continue;
+      }
+
+      if (Date.now() > deadline) {
+        throw new StorageError(this.filePath, new Error(`${this.lockPath} is held by another process`));
+      }
+      Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, LOCK_RETRY_MS);
+    }
+  }
+
+  /**
+   * Release the lock file taken by lock()
+   */
+  unlock() {
+    this.lockDepth--;
+    if (this.lockDepth === 0) {
+      fs.rmSync(this.lockPath, { force: true });
+    }
+  }
+
+  /**
+   * @returns {number} milliseconds since the lock file was taken, 0 when there is none
+   */
+  lockAge() {
+    try {
+      return Date.now() - fs.statSync(this.lockPath).mtimeMs;
+    } catch (error) {
+      return 0;
+    }
+  }
+
+  /**
+   * @returns {string|null} mtime and size of the file, null when it does not exist
+   */
+  fileVersion() {
+    try {
+      const stat = fs.statSync(this.filePath);
+      return `${stat.mtimeMs}:${stat.size}`;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = JsonStore;
@@ -0,0 +1,84 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const helpers = require('../views/liquid/helpers');
+
+const DEFAULT_TEMPLATE_DIR = path.join(__dirname, '..', 'views', 'liquid');
+
+// name -> template function, loaded once
+const templates = new Map();
+
+/**
+ * Load a template: `${LIQUID_TEMPLATE_DIR}/${name}.js` when present, else views/liquid
+ * @param {string} name - products, product, categories, brands, error
+ * @returns {Function} (data, context, helpers) => Liquid string
+ */
+function loadTemplate(name) {
+  if (!templates.has(name)) {
+    const override = config.liquid.templateDir && path.resolve(config.liquid.templateDir, `${name}.js`);
+    const file = override && fs.existsSync(override) ? override : path.join(DEFAULT_TEMPLATE_DIR, `${name}.js`);
+    templates.set(name, require(file));
+  }
+  return templates.get(name);
+}
+
+/**
+ * Whether to answer with Liquid instead of JSON
+ * `format=liquid|json` wins; otherwise an Accept header preferring
+ * application/liquid or text/html (a storefront page load) selects Liquid.
+ *
+ * @param {express.Request} req
+ * @returns {boolean}
+ */
+function wantsLiquid(req) {
+  if (req.query.format === 'json') return false;
+  if (req.query.format === 'liquid') return true;
+  return req.accepts(['json', 'application/liquid', 'html']) !== 'json';
+}
+
+/**
+ * Render a template for an App Proxy request
+ * @param {string} name
+ * @param {object} data
+ * @param {express.Request} req
+ * @returns {string} Liquid
+ */
+function renderLiquid(name, data, req) {
+  const context = {
+    // App Proxy prefix the shopper sees, e.g. /apps/bunjang
+    pathPrefix: req.query.path_prefix || config.liquid.pathPrefix,
+    currency: data.product?.currency || data.products?.[0]?.currency,
+    shop: req.shop,
+    customerId: req.loggedInCustomerId,
+  };
+  return loadTemplate(name)(data, context, helpers);
+}
+
+/**
+ * Send Liquid (rendered inside the theme by Shopify) or JSON, per wantsLiquid()
+ *
+ * @param {express.Request} req
+ * @param {express.Response} res
+ * @param {object} options
+ * @param {string} options.template - Template name
+ * @param {object} options.data - Template data
+ * @param {object} options.json - JSON body
+ * @param {number} options.status - HTTP status (default: 200)
+ */
+function sendView(req, res, { template, data, json, status = 200 }) {
+  res.status(status);
+  res.vary('Accept');
+
+  if (wantsLiquid(req)) {
+    res.type('application/liquid').send(renderLiquid(template, data, req));
+  } else {
+    res.json(json);
+  }
+}
+
+module.exports = {
+  loadTemplate,
+  wantsLiquid,
+  renderLiquid,
+  sendView,
+};
@@ -44,8 +44,8 @@ const logger = winston.createLogger({
   ],
 });
 
-// If in production, also write to file
-if (config.server.env === 'production') {
+// If in production, also write to file (not on Vercel: read-only filesystem, console is collected)
+if (config.server.env === 'production' && !process.env.VERCEL) {
   logger.add(
     new winston.transports.File({ filename: 'logs/error.log', level: 'error' })
   );
@@ -0,0 +1,182 @@
+/**
+ * Building blocks for calling flaky upstream APIs
+ */
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Client-side token bucket
+ * `take()` reserves a token and resolves once it is available, so callers
+ * queue up in order instead of bursting past the upstream rate limit.
+ */
+class TokenBucket {
+  /**
+   * @param {object} options
+   * @param {number} options.ratePerSecond - Refill rate
+   * @param {number} options.burst - Bucket size
+   */
+  constructor({ ratePerSecond, burst }) {
+    this.ratePerSecond = ratePerSecond;
+    this.burst = burst;
+    this.tokens = burst;
+    this.updatedAt = Date.now();
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.burst, this.tokens + ((now - this.updatedAt) / 1000) * this.ratePerSecond);
+    this.updatedAt = now;
+  }
+
+  /**
+   * Wait for a token
+   * @returns {Promise<number>} ms waited
+   */
+  async take() {
+    this.refill();
+    // Negative tokens are reservations by callers already waiting
+    this.tokens -= 1;
+    const waitMs = this.tokens >= 0 ? 0 : Math.ceil((-this.tokens / this.ratePerSecond) * 1000);
+
+    if (waitMs > 0) {
+      await sleep(waitMs);
+    }
+    return waitMs;
+  }
+
+  getStatus() {
+    this.refill();
+    return {
+      ratePerSecond: this.ratePerSecond,
+      burst: this.burst,
+      available: Math.max(0, Math.floor(this.tokens)),
+      queued: Math.max(0, Math.ceil(-this.tokens)),
+    };
+  }
+}
+
+/**
+ * Consecutive-failure circuit breaker
+ *
+ * closed -> open after `threshold` consecutive failures; open fails fast
+ * for `cooldownMs`, then half-open lets one trial request through: success
+ * closes the circuit, failure opens it again.
+ */
+class CircuitBreaker {
+  /**
+   * @param {object} options
+   * @param {number} options.threshold - Consecutive failures before opening
+   * @param {number} options.cooldownMs - Time open before a trial request
+   * @param {function(string, string): void} options.onStateChange - (from, to)
+   */
+  constructor({ threshold, cooldownMs, onStateChange = () => {} }) {
+    this.threshold = threshold;
+    this.cooldownMs = cooldownMs;
+    this.onStateChange = onStateChange;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.lastError = null;
+  }
+
+  /**
+   * Whether a request may go out now (claims the trial slot when half-open)
+   * @returns {boolean}
+   */
+  allowRequest() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.cooldownMs) {
+      this.transition('half-open');
+    }
+    if (this.state === 'closed') return true;
+    if (this.state === 'half-open' && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * ms until the breaker lets a request through again (0 when closed)
+   * @returns {number}
+   */
+  retryInMs() {
+    if (this.state === 'closed') return 0;
+    return Math.max(0, this.openedAt + this.cooldownMs - Date.now());
+  }
+
+  recordSuccess() {
+    this.failures = 0;
+    this.trialInFlight = false;
+    if (this.state !== 'closed') {
+      this.openedAt = null;
+      this.transition('closed');
+    }
+  }
+
+  /**
+   * @param {Error} error
+   */
+  recordFailure(error) {
+    this.failures++;
+    this.trialInFlight = false;
+    this.lastError = { message: error.message, at: new Date().toISOString() };
+
+    if (this.state === 'half-open' || (this.state === 'closed' && this.failures >= this.threshold)) {
+      this.openedAt = Date.now();
+      this.transition('open');
+    }
+  }
+
+  transition(state) {
+    const from = this.state;
+    this.state = state;
+    this.onStateChange(from, state);
+  }
+
+  getStatus() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      threshold: this.threshold,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAt: this.state === 'closed' ? null : new Date(Date.now() + this.retryInMs()).toISOString(),
+      lastError: this.lastError,
+    };
+  }
+}
+
+/**
+ * Exponential backoff with full jitter
+ * @param {number} attempt - 0 for the first retry
+ * @param {object} options
+ * @param {number} options.baseDelayMs
+ * @param {number} options.maxDelayMs
+ * @returns {number} ms
+ */
+function backoffDelay(attempt, { baseDelayMs, maxDelayMs }) {
+  return Math.round(Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt));
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date)
+ * @param {string} value
+ * @returns {number|null} ms, or null when absent/invalid
+ */
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+module.exports = {
+  sleep,
+  TokenBucket,
+  CircuitBreaker,
+  backoffDelay,
+  parseRetryAfter,
+};
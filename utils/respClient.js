@@ -0,0 +1,248 @@
+const net = require('net');
+const tls = require('tls');
+const { URL } = require('url');
+
+/**
+ * Error reply from the server (-ERR ...)
+ */
+class RespError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RespError';
+  }
+}
+
+/**
+ * Parse one RESP reply from a buffer
+ * @param {Buffer} buffer
+ * @param {number} offset
+ * @returns {{ value: *, offset: number }|null} null when the reply is incomplete
+ */
+function parseReply(buffer, offset) {
+  if (offset >= buffer.length) return null;
+
+  const lineEnd = buffer.indexOf('\r\n', offset);
+  if (lineEnd === -1) return null;
+
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new RespError(line), offset: next };
+    case ':':
+      return { value: parseInt(line, 10), offset: next };
+    case '$': {
+      const length = parseInt(line, 10);
+      if (length === -1) return { value: null, offset: next };
+      if (buffer.length < next + length + 2) return null;
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = parseInt(line, 10);
+      if (count === -1) return { value: null, offset: next };
+
+      const items = [];
+      let position = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, position);
+        if (!item) return null;
+        items.push(item.value);
+        position = item.offset;
+      }
+      return { value: items, offset: position };
+    }
+    default:
+      throw new RespError(`Unexpected RESP reply type: ${type}`);
+  }
+}
+
+/**
+ * Encode a command as a RESP array of bulk strings
+ * @param {Array<string|number>} args
+ * @returns {Buffer}
+ */
+function encodeCommand(args) {
+  const parts = [`*${args.length}\r\n`];
+  for (const arg of args) {
+    const value = String(arg);
+    parts.push(`$${Buffer.byteLength(value)}\r\n${value}\r\n`);
+  }
+  return Buffer.from(parts.join(''));
+}
+
+/**
+ * Minimal Redis-protocol (RESP2) client
+ *
+ * Enough for caching against redis-server or any compatible service
+ * (KeyDB, Dragonfly, Upstash via rediss://): one lazily opened connection,
+ * commands answered in order, so concurrent calls are pipelined for free.
+ * A dropped connection fails the pending commands and is reopened on the
+ * next command.
+ */
+class RespClient {
+  /**
+   * @param {object} options
+   * @param {string} options.url - redis://[:password@]host:port[/db] or rediss:// for TLS
+   * @param {number} options.timeoutMs - Connect / command timeout
+   */
+  constructor({ url = 'redis://127.0.0.1:6379', timeoutMs = 2000 } = {}) {
+    this.url = new URL(url);
+    this.timeoutMs = timeoutMs;
+    this.socket = null;
+    this.ready = false;
+    this.connecting = null;
+    this.pending = [];
+    this.buffer = Buffer.alloc(0);
+  }
+
+  /**
+   * Open the connection (AUTH / SELECT included) unless already open
+   * @returns {Promise<void>}
+   */
+  connect() {
+    if (this.ready) return Promise.resolve();
+    if (this.connecting) return this.connecting;
+
+    this.connecting = new Promise((resolve, reject) => {
+      const secure = this.url.protocol === 'rediss:';
+      const options = { host: this.url.hostname, port: parseInt(this.url.port) || 6379 };
+      const socket = secure
+        ? tls.connect({ ...options, servername: options.host })
+        : net.connect(options);
+
+      const timer = setTimeout(() => {
+        socket.destroy(new Error(`Connection to ${options.host}:${options.port} timed out`));
+      }, this.timeoutMs);
+
+      socket.once(secure ? 'secureConnect' : 'connect', () => {
+        clearTimeout(timer);
+        socket.setNoDelay(true);
+        this.socket = socket;
+        resolve();
+      });
+      // Events of a replaced socket must not touch the current one
+      socket.on('data', (chunk) => {
+        if (this.socket === socket) this.onData(chunk);
+      });
+      socket.on('error', (error) => {
+        clearTimeout(timer);
+        if (this.socket === socket) this.reset(error);
+        reject(error);
+      });
+      socket.on('close', () => {
+        if (this.socket === socket) this.reset(new Error('Connection closed'));
+      });
+    })
+      .then(() => this.handshake())
+      .then(() => {
+        this.ready = true;
+      })
+      .catch((error) => {
+        this.reset(error);
+        throw error;
+      })
+      .finally(() => {
+        this.connecting = null;
+      });
+
+    return this.connecting;
+  }
+
+  /**
+   * Authenticate and select the database from the URL
+   */
+  async handshake() {
+    const password = this.url.password ? decodeURIComponent(this.url.password) : null;
+    const username = this.url.username ? decodeURIComponent(this.url.username) : null;
+    const db = parseInt(this.url.pathname.slice(1));
+
+    if (password) {
+      await this.send(username ? ['AUTH', username, password] : ['AUTH', password]);
+    }
+    if (db > 0) {
+      await this.send(['SELECT', db]);
+    }
+  }
+
+  /**
+   * Run a command
+   * @param {...(string|number)} args - e.g. 'SET', 'key', 'value', 'EX', 60
+   * @returns {Promise<*>} reply
+   */
+  async command(...args) {
+    await this.connect();
+    return this.send(args);
+  }
+
+  send(args) {
+    return new Promise((resolve, reject) => {
+      if (!this.socket) {
+        reject(new Error('Not connected'));
+        return;
+      }
+
+      const timer = setTimeout(() => {
+        // Replies are matched by order, so a lost reply poisons the connection
+        this.socket?.destroy(new Error(`Command ${args[0]} timed out`));
+      }, this.timeoutMs);
+
+      this.pending.push({
+        resolve: (value) => { clearTimeout(timer); resolve(value); },
+        reject: (error) => { clearTimeout(timer); reject(error); },
+      });
+      this.socket.write(encodeCommand(args));
+    });
+  }
+
+  onData(chunk) {
+    this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk;
+
+    let offset = 0;
+    let reply;
+    while ((reply = parseReply(this.buffer, offset))) {
+      offset = reply.offset;
+      const waiter = this.pending.shift();
+      if (!waiter) continue;
+
+      if (reply.value instanceof RespError) {
+        waiter.reject(reply.value);
+      } else {
+        waiter.resolve(reply.value);
+      }
+    }
+
+    this.buffer = this.buffer.subarray(offset);
+  }
+
+  reset(error) {
+    this.ready = false;
+    if (this.socket) {
+      this.socket.destroy();
+      this.socket = null;
+    }
+    this.buffer = Buffer.alloc(0);
+    this.pending.splice(0).forEach((waiter) => waiter.reject(error));
+  }
+
+  /**
+   * Close the connection
+   */
+  async close() {
+    if (!this.socket) return;
+    try {
+      await this.send(['QUIT']);
+    } catch (error) {
+      // Closing anyway
+    }
+    this.reset(new Error('Client closed'));
+  }
+}
+
+module.exports = {
+  RespClient,
+  RespError,
+};
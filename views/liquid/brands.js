@@ -0,0 +1,7 @@
+/**
+ * Brand list
+ * GET /shopify-proxy/brands
+ *
+ * @param {object} data - { items }
+ */
+module.exports = require('./taxonomy')('Brands', 'brandId');
@@ -0,0 +1,7 @@
+/**
+ * Category list
+ * GET /shopify-proxy/categories
+ *
+ * @param {object} data - { items }
+ */
+module.exports = require('./taxonomy')('Categories', 'categoryId');
@@ -0,0 +1,12 @@
+/**
+ * Error page (Bunjang unavailable, product not found, ...)
+ *
+ * @param {object} data - { status, message }
+ */
+module.exports = ({ status, message }, { pathPrefix }, { escape, proxyUrl }) => `
+<div class="bunjang-error page-width">
+  <h1>${status === 404 ? 'Not found' : 'Something went wrong'}</h1>
+  <p>${escape(message)}</p>
+  <a href="${escape(proxyUrl(pathPrefix, '/products'))}" class="button">Back to Bunjang Finds</a>
+</div>
+`;
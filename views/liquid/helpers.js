@@ -0,0 +1,56 @@
+/**
+ * Helpers passed to every Liquid template
+ */
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+  // Shopify renders our output as Liquid: Bunjang text must not open tags
+  '{': '&#123;',
+  '}': '&#125;',
+};
+
+/**
+ * Escape text for HTML and Liquid
+ * @param {*} value
+ * @returns {string}
+ */
+const escape = (value) => String(value ?? '').replace(/[&<>"'{}]/g, (char) => HTML_ESCAPES[char]);
+
+/**
+ * Format an amount in the presentment currency
+ * @param {number} amount
+ * @param {string} currency
+ * @returns {string} e.g. "$12.34"
+ */
+const money = (amount, currency) => {
+  if (amount === undefined || amount === null) return '';
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount);
+  } catch (error) {
+    return `${amount} ${currency}`;
+  }
+};
+
+/**
+ * Build a storefront link through the App Proxy
+ * @param {string} pathPrefix - App Proxy prefix, e.g. /apps/bunjang
+ * @param {string} path - e.g. /products
+ * @param {object} params - Query params (empty values are dropped)
+ * @returns {string}
+ */
+const proxyUrl = (pathPrefix, path, params = {}) => {
+  const query = new URLSearchParams(
+    Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== '')
+  ).toString();
+  return `${pathPrefix}${path}${query ? `?${query}` : ''}`;
+};
+
+module.exports = {
+  escape,
+  money,
+  proxyUrl,
+};
@@ -0,0 +1,58 @@
+/**
+ * Product detail
+ * GET /shopify-proxy/products/:id
+ *
+ * @param {object} data - { product, exchangeRate }
+ * @param {object} context - { pathPrefix, currency, shop, customerId }
+ * @param {object} helpers - views/liquid/helpers.js
+ * @returns {string} Liquid
+ */
+module.exports = ({ product }, { pathPrefix }, { escape, money, proxyUrl }) => {
+  const title = product.titleEn || product.title;
+  const description = product.descriptionEn || product.description;
+  const shipping = product.internationalShipping;
+  const landed = product.landedCost;
+
+  return `
+<div class="bunjang-product page-width">
+  <a href="${escape(proxyUrl(pathPrefix, '/products'))}" class="bunjang-product__back">&larr; Back to Bunjang Finds</a>
+
+  <div class="bunjang-product__media">
+    ${product.images.map((image, index) => `
+    <img src="${escape(image)}" alt="${escape(title)} ${index + 1}" loading="${index ? 'lazy' : 'eager'}">`).join('')}
+  </div>
+
+  <div class="bunjang-product__info">
+    <h1 class="bunjang-product__title">${escape(title)}</h1>
+    ${title !== product.title ? `
+    <p class="bunjang-product__original-title" lang="ko">${escape(product.title)}</p>` : ''}
+    <p class="bunjang-product__price price">${escape(money(product.price, product.currency))}</p>
+    ${shipping && shipping.available ? `
+    <p class="bunjang-product__shipping">Estimated shipping to ${escape(shipping.country)}: ${escape(money(shipping.total, shipping.currency))}</p>` : ''}
+    ${shipping && !shipping.available ? `
+    <p class="bunjang-product__shipping bunjang-product__shipping--unavailable">${escape(shipping.reason)}</p>` : ''}
+    ${landed && landed.available ? `
+    <dl class="bunjang-product__landed-cost">
+      <dt>Import duty${landed.duty.exempt ? ' (below de-minimis)' : ''}</dt>
+      <dd>${escape(money(landed.duty.amount, landed.currency))}</dd>
+      <dt>${escape(landed.tax.name)}${landed.tax.exempt ? ' (below de-minimis)' : ''}</dt>
+      <dd>${escape(money(landed.tax.amount, landed.currency))}</dd>
+      <dt>Estimated total delivered to ${escape(landed.country)}</dt>
+      <dd>${escape(money(landed.total, landed.currency))}</dd>
+    </dl>` : ''}
+    ${product.condition ? `
+    <p class="bunjang-product__condition">Condition: ${escape(product.condition.replace(/_/g, ' ').toLowerCase())}</p>` : ''}
+    ${product.saleStatus && product.saleStatus !== 'SELLING' ? `
+    <p class="bunjang-product__status">No longer available</p>` : ''}
+    ${product.compliance ? `
+    <div class="bunjang-product__compliance bunjang-product__compliance--${escape(product.compliance.action)}">
+      ${product.compliance.purchasable ? '' : `
+      <p>This item cannot be ordered for international delivery.</p>`}
+      <ul>${product.compliance.reasons.map((reason) => `<li>${escape(reason)}</li>`).join('')}</ul>
+    </div>` : ''}
+
+    <div class="bunjang-product__description rte">${escape(description).replace(/\n/g, '<br>')}</div>
+  </div>
+</div>
+`;
+};
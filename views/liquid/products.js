@@ -0,0 +1,45 @@
+/**
+ * Product list / search
+ * GET /shopify-proxy/products
+ *
+ * @param {object} data - { products, pagination, exchangeRate, search, query }
+ * @param {object} context - { pathPrefix, currency, shop, customerId }
+ * @param {object} helpers - views/liquid/helpers.js
+ * @returns {string} Liquid
+ */
+module.exports = ({ products, pagination, search, query }, { pathPrefix }, { escape, money, proxyUrl }) => `
+<div class="bunjang-catalog">
+  <h1 class="bunjang-catalog__title">${query.q ? `Results for “${escape(query.q)}”` : 'Bunjang Finds'}</h1>
+  ${search && search.rewritten ? `
+  <p class="bunjang-catalog__rewritten">Searched Bunjang for <span lang="ko">${escape((search.used.length ? search.used : [search.rewritten]).join(', '))}</span></p>` : ''}
+
+  <form class="bunjang-catalog__search" action="${escape(proxyUrl(pathPrefix, '/products'))}" method="get">
+    <input type="search" name="q" value="${escape(query.q)}" placeholder="Search Bunjang" aria-label="Search">
+    <select name="sort" aria-label="Sort">
+      ${['latest', 'score', 'price_asc', 'price_desc'].map((sort) => `
+      <option value="${sort}"${query.sort === sort ? ' selected' : ''}>${escape(sort.replace('_', ' '))}</option>`).join('')}
+    </select>
+    <button type="submit" class="button">Search</button>
+  </form>
+
+  ${products.length ? `
+  <ul class="bunjang-catalog__grid grid grid--2-col-tablet-down grid--4-col-desktop" role="list">
+    ${products.map((product) => `
+    <li class="bunjang-card grid__item">
+      <a href="${escape(proxyUrl(pathPrefix, `/products/${product.id}`))}" class="bunjang-card__link">
+        ${product.images[0] ? `<img src="${escape(product.images[0])}" alt="${escape(product.titleEn || product.title)}" loading="lazy" width="300" height="300">` : ''}
+        <span class="bunjang-card__title" title="${escape(product.title)}">${escape(product.titleEn || product.title)}</span>
+        <span class="bunjang-card__price price">${escape(money(product.price, product.currency))}</span>
+        ${product.compliance && !product.compliance.purchasable ? `
+        <span class="bunjang-card__restricted">Not available for international orders</span>` : ''}
+      </a>
+    </li>`).join('')}
+  </ul>` : `
+  <p class="bunjang-catalog__empty">No products found.</p>`}
+
+  ${pagination.hasNext ? `
+  <nav class="bunjang-catalog__pagination pagination">
+    <a href="${escape(proxyUrl(pathPrefix, '/products', { ...query, cursor: pagination.cursor }))}" class="button">More products</a>
+  </nav>` : ''}
+</div>
+`;
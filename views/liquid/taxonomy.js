@@ -0,0 +1,30 @@
+/**
+ * Shared markup for category / brand lists
+ * Bunjang nests sub-categories as `children` or `subCategories`.
+ */
+const itemId = (item) => item.id ?? item.categoryId ?? item.brandId;
+const itemName = (item) => item.nameEn || item.name || item.title || itemId(item);
+
+const renderList = (items, param, pathPrefix, helpers) => `
+<ul class="bunjang-taxonomy__list" role="list">
+  ${items.map((item) => {
+    const children = item.children || item.subCategories || [];
+    return `
+  <li>
+    <a href="${helpers.escape(helpers.proxyUrl(pathPrefix, '/products', { [param]: itemId(item) }))}">${helpers.escape(itemName(item))}</a>
+    ${children.length ? renderList(children, param, pathPrefix, helpers) : ''}
+  </li>`;
+  }).join('')}
+</ul>`;
+
+/**
+ * @param {string} title - Page heading
+ * @param {string} param - Product filter the links apply (categoryId, brandId)
+ * @returns {Function} template
+ */
+module.exports = (title, param) => ({ items }, { pathPrefix }, helpers) => `
+<div class="bunjang-taxonomy page-width">
+  <h1>${helpers.escape(title)}</h1>
+  ${renderList(items, param, pathPrefix, helpers)}
+</div>
+`;